@@ -0,0 +1,59 @@
+import { readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import Matter from 'matter-js';
+import { Simulation } from './src/js/Simulation.js';
+
+/**
+ * Run every course in checks/ without a browser and compare its hits with the ones stored there.
+ * A check is { name, project | template, duration, hits }; `template` is a path from the repo root.
+ * Usage:
+ *   node check.js             -> Exit 1 when any course plays differently
+ *   node check.js --update    -> Store the hits each course plays now
+ */
+
+const CHECKS_DIR = new URL('./checks/', import.meta.url);
+
+// Hits as simulate.js prints them in CSV: times and velocities are only compared that far
+const rounded = hits => hits.map(h => ({
+    time: Number(h.time.toFixed(4)),
+    bar: h.bar,
+    note: h.note,
+    midi: h.midi,
+    instrument: h.instrument,
+    velocity: Number(h.velocity.toFixed(3))
+}));
+
+const describe = h => h ? `${h.time}s bar ${h.bar} ${h.note} (${h.instrument}, ${h.velocity})` : 'nothing';
+
+function runCheck(check) {
+    const project = check.template
+        ? JSON.parse(readFileSync(new URL(`../${check.template}`, CHECKS_DIR), 'utf8'))
+        : check.project;
+    return rounded(new Simulation(Matter, project).run(check.duration));
+}
+
+const update = process.argv.includes('--update');
+let failed = 0;
+
+for (const file of readdirSync(CHECKS_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const url = new URL(file, CHECKS_DIR);
+    const check = JSON.parse(readFileSync(url, 'utf8'));
+    const hits = runCheck(check);
+
+    if (update) {
+        writeFileSync(url, JSON.stringify({ ...check, hits }, null, 2) + '\n');
+        console.log(`updated ${file}: ${hits.length} hits`);
+        continue;
+    }
+
+    const expected = check.hits || [];
+    const length = Math.max(hits.length, expected.length);
+    const index = [...Array(length).keys()].find(i => JSON.stringify(hits[i]) !== JSON.stringify(expected[i]));
+    if (index === undefined) {
+        console.log(`ok ${file}: ${hits.length} hits`);
+    } else {
+        failed++;
+        console.log(`FAIL ${file} (${check.name}): hit ${index + 1} is ${describe(hits[index])}, expected ${describe(expected[index])}`);
+    }
+}
+
+if (failed > 0) process.exit(1);
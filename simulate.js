@@ -0,0 +1,51 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import Matter from 'matter-js';
+import { Simulation, MAX_RUN_SECONDS } from './src/js/Simulation.js';
+
+/**
+ * Run a project JSON through the physics without a browser and print its hits.
+ * Usage:
+ *   node simulate.js song.json                      -> JSON hit list on stdout
+ *   node simulate.js song.json --duration 30        -> Stop after 30 seconds
+ *   node simulate.js song.json --format csv         -> CSV instead of JSON
+ *   node simulate.js song.json --output hits.csv    -> Write to a file
+ */
+
+function parseArgs(argv) {
+    const options = { file: null, duration: MAX_RUN_SECONDS, format: 'json', output: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--duration') options.duration = parseFloat(argv[++i]);
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--output') options.output = argv[++i];
+        else if (!arg.startsWith('--')) options.file = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!options.file) throw new Error('No project file given');
+    if (!(options.duration > 0)) throw new Error('--duration must be a positive number of seconds');
+    if (!['json', 'csv'].includes(options.format)) throw new Error('--format must be json or csv');
+    return options;
+}
+
+function toCsv(hits) {
+    const cell = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const rows = hits.map(h => [h.time.toFixed(4), h.bar, h.note, h.midi, h.instrument, h.velocity.toFixed(3)].map(cell).join(','));
+    return ['time,bar,note,midi,instrument,velocity', ...rows].join('\n') + '\n';
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const project = JSON.parse(readFileSync(options.file, 'utf8'));
+    const hits = new Simulation(Matter, project).run(options.duration);
+
+    const text = options.format === 'csv' ? toCsv(hits) : JSON.stringify(hits, null, 2) + '\n';
+    if (options.output) {
+        writeFileSync(options.output, text);
+        console.error(`${hits.length} hits written to ${options.output}`);
+    } else {
+        process.stdout.write(text);
+    }
+} catch (error) {
+    console.error(`simulate: ${error.message}`);
+    process.exit(1);
+}
@@ -1,12 +1,15 @@
+// How a moving ball's trail is drawn: flickering sparks, a smooth streak, or nothing
+export const TRAIL_STYLES = ['fire', 'line', 'none'];
+
 export class Ball {
-    constructor(world, Matter, x, y, radius, restitution, color = '#00f2fe', isStatic = false, spawnerIndex = null) {
+    constructor(world, Matter, x, y, radius, restitution, color = '#00f2fe', isStatic = false, spawnerIndex = null, { density = 0.01, trail = 'fire' } = {}) {
         this.Matter = Matter;
         this.world = world;
         this.body = Matter.Bodies.circle(x, y, radius, {
             restitution: restitution,
             friction: 0.005,
             frictionAir: 0.001,
-            density: 0.01, // Heavy ball to tilt seesaw significantly
+            density: density, // Heavy ball (0.01) to tilt seesaw significantly
             label: 'ball',
             isStatic: isStatic,
             slop: 0.01 // Tighter collision detection
@@ -17,8 +20,10 @@ export class Ball {
         this.wasStatic = isStatic; // Remember if it started as static
         this.isFocused = false; // For selection indicator
         this.spawnerIndex = spawnerIndex; // Track which spawner created this ball
+        this.portalCooldown = 0; // Physics steps before the ball can use a portal again
         this.trail = [];
         this.maxTrail = 15;
+        this.trailStyle = TRAIL_STYLES.includes(trail) ? trail : 'fire';
         Matter.World.add(world, this.body);
     }
 
@@ -29,11 +34,9 @@ export class Ball {
         }
     }
 
-    draw(p) {
-        const pos = this.body.position;
+    // Limit maximum velocity to prevent uncontrollable speeds
+    limitSpeed() {
         const speed = this.body.speed;
-        
-        // Limit maximum velocity to prevent uncontrollable speeds
         const maxSpeed = 40; // Increased from 30 for high bounce/gravity scenarios
         if (speed > maxSpeed) {
             const velocityScale = maxSpeed / speed;
@@ -42,10 +45,15 @@ export class Ball {
                 y: this.body.velocity.y * velocityScale
             });
         }
+    }
+
+    draw(p, random = Math.random) {
+        const pos = this.body.position;
+        const speed = this.body.speed;
 
         // Update trail only if not static and LOD is high enough
         const lod = window.lodQuality || 'high';
-        if (!this.isStatic && lod !== 'low') {
+        if (!this.isStatic && lod !== 'low' && this.trailStyle !== 'none') {
             this.trail.push({ x: pos.x, y: pos.y });
             const trailLimit = lod === 'medium' ? 8 : 15;
             if (this.trail.length > trailLimit) {
@@ -57,8 +65,19 @@ export class Ball {
 
         p.push();
         
-        // Draw fire trail only for dynamic balls
-        if (!this.isStatic) {
+        // Draw the trail only for dynamic balls
+        if (!this.isStatic && this.trailStyle === 'line') {
+            p.noFill();
+            const col = p.color(this.color);
+            for (let i = 1; i < this.trail.length; i++) {
+                const a = this.trail[i - 1];
+                const b = this.trail[i];
+                col.setAlpha(p.map(i, 0, this.trail.length, 0, 180));
+                p.stroke(col);
+                p.strokeWeight(p.map(i, 0, this.trail.length, 1, this.radius * 1.2));
+                p.line(a.x, a.y, b.x, b.y);
+            }
+        } else if (!this.isStatic && this.trailStyle === 'fire') {
             for (let i = 0; i < this.trail.length; i++) {
                 const t = this.trail[i];
                 const size = p.map(i, 0, this.trail.length, 2, this.radius * 1.5);
@@ -70,8 +89,8 @@ export class Ball {
                 p.fill(col);
                 
                 // Add some "flicker"
-                const offsetX = (p.random() - 0.5) * speed * 0.5;
-                const offsetY = (p.random() - 0.5) * speed * 0.5;
+                const offsetX = (random() - 0.5) * speed * 0.5;
+                const offsetY = (random() - 0.5) * speed * 0.5;
                 
                 p.circle(t.x + offsetX, t.y + offsetY, size);
             }
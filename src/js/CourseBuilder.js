@@ -0,0 +1,183 @@
+import { Wall } from './Wall.js';
+import { configureEngine, stepPhysics, PHYSICS_STEP_MS } from './physics.js';
+import { readZones } from './Zone.js';
+import { createBar, spawnerBall, normalizeSpawnerBall } from './Simulation.js';
+
+const DEFLECT_ANGLES = [0.35, 0.6, 0.9, 1.2]; // Bar tilts tried, away from the incoming direction
+const LEAD_IN = 0.5; // Seconds the ball falls before the first hit at the earliest
+const MIN_GAP = 0.1; // Notes closer than this (chords, grace notes) are merged
+const LOOKAHEAD = 0.6; // Seconds checked after the last note
+const SETTLE_TIME = 0.5; // Extra simulated time to confirm the last hit
+
+/**
+ * Place a chain of bars so a ball fired from `spawner` (with its `ball` settings) hits them in order.
+ * The ball runs in a private engine; at each note time a bar is set down right
+ * in front of it. Several tilts are tried and the one that keeps the ball
+ * clear of other bars until the next note wins, alternating sides when tied.
+ * notes: [{ time, note }] sorted by time (seconds, note names).
+ * angles: bar tilts to try; obstacles: serialized bars already on the course; zones: its force fields.
+ * Returns { bars: [{ x, y, w, h, angle, note }], hits: [{ target, actual }], strayHits, skipped, offset }
+ * where `offset` is how far the notes were pushed back to leave the ball time to fall.
+ */
+export function buildCourse(Matter, { spawner, notes, gravity = 1, bounce = 0.8, instrument = 'sine', barWidth = 90, barHeight = 14, angles = DEFLECT_ANGLES, obstacles = [], zones = [] }) {
+    const { Body, Engine, Events } = Matter;
+    const engine = Engine.create();
+    configureEngine(engine, gravity);
+    engine.enableSleeping = false; // A resting ball must still react to new bars
+    const world = engine.world;
+
+    const ball = spawnerBall(Matter, world, spawner.x, spawner.y, normalizeSpawnerBall(spawner.ball), bounce, null);
+    const obstacleBars = obstacles.map(b => createBar(Matter, world, b)); // Hitting these counts as stray
+    const fields = readZones({ zones });
+    const walls = [];
+    const hits = [];
+    let strayHits = 0;
+    let time = 0;
+    let trial = null; // Contact counters while a candidate bar is being tried
+
+    // Only the first contact with a bar is the intended note; repeats are stray
+    Events.on(engine, 'collisionStart', event => {
+        event.pairs.forEach(pair => {
+            const bodyA = pair.bodyA.parent || pair.bodyA;
+            const bodyB = pair.bodyB.parent || pair.bodyB;
+            if (bodyA !== ball.body && bodyB !== ball.body) return;
+            const other = bodyA === ball.body ? bodyB : bodyA;
+
+            if (trial) {
+                if (other === trial.body && trial.hitTime === null) {
+                    trial.hitTime = time;
+                } else {
+                    trial.strays++;
+                }
+                return;
+            }
+
+            const index = walls.findIndex(w => w.body === other);
+            if (index === -1) {
+                strayHits++;
+                return;
+            }
+            if (hits[index].actual === null) {
+                hits[index].actual = time;
+            } else {
+                strayHits++;
+            }
+        });
+    });
+
+    const step = () => {
+        // Moving obstacles follow the same run clock as in the real run
+        stepPhysics(Matter, engine, [ball], walls.concat(obstacleBars), fields, time);
+        time += PHYSICS_STEP_MS / 1000;
+    };
+
+    const saveBall = () => ({
+        position: { ...ball.body.position },
+        velocity: { ...ball.body.velocity },
+        angle: ball.body.angle,
+        angularVelocity: ball.body.angularVelocity,
+        positionImpulse: { ...ball.body.positionImpulse },
+        time
+    });
+
+    const restoreBall = state => {
+        Body.setPosition(ball.body, state.position);
+        Body.setVelocity(ball.body, state.velocity);
+        Body.setAngle(ball.body, state.angle);
+        Body.setAngularVelocity(ball.body, state.angularVelocity);
+        ball.body.positionImpulse = { ...state.positionImpulse };
+        ball.body.constraintImpulse = { x: 0, y: 0, angle: 0 };
+        Matter.Pairs.clear(engine.pairs); // Forget contacts made during the trial
+        time = state.time;
+        obstacleBars.forEach(b => b.poseAt(time)); // Back to where they were, without a jump in speed next step
+    };
+
+    // Bar placement in front of the ball, with its surface tilted by `tilt`
+    const placement = tilt => {
+        const v = ball.body.velocity;
+        const speed = Math.sqrt(v.x * v.x + v.y * v.y);
+        const d = speed > 0.5 ? { x: v.x / speed, y: v.y / speed } : { x: 0, y: 1 };
+        const n = {
+            x: -d.x * Math.cos(tilt) + d.y * Math.sin(tilt),
+            y: -d.x * Math.sin(tilt) - d.y * Math.cos(tilt)
+        };
+        const gap = ball.radius + barHeight / 2 + 1;
+        const pos = ball.body.position;
+        return {
+            x: pos.x - n.x * gap,
+            y: pos.y - n.y * gap,
+            angle: Math.atan2(n.x, -n.y)
+        };
+    };
+
+    // Keep only notes far enough apart to be separate bounces
+    const offset = notes.length > 0 ? Math.max(0, LEAD_IN - notes[0].time) : 0;
+    const targets = [];
+    let skipped = 0;
+    notes.forEach(n => {
+        if (targets.length > 0 && n.time + offset - targets[targets.length - 1].time < MIN_GAP) {
+            skipped++;
+            return;
+        }
+        targets.push({ time: n.time + offset, note: n.note });
+    });
+
+    let side = -1;
+
+    targets.forEach((target, i) => {
+        while (time < target.time) step();
+
+        const until = i + 1 < targets.length ? targets[i + 1].time : target.time + LOOKAHEAD;
+        const start = saveBall();
+        const preferred = walls.length > 0 ? -side : 1;
+        let best = null;
+
+        // Try every tilt on both sides, full width and narrow
+        angles.forEach(angle => [angle, -angle].forEach(tilt => [barWidth, barWidth * 0.6].forEach(w => {
+            const place = placement(tilt);
+            const candidate = new Wall(world, Matter, place.x, place.y, w, barHeight, place.angle, target.note, 'rect', instrument);
+            trial = { body: candidate.body, hitTime: null, strays: 0 };
+            while (time < until) step();
+
+            const v = ball.body.velocity;
+            const moving = Math.sqrt(v.x * v.x + v.y * v.y) > 1;
+            const direction = Math.sign(ball.body.position.x - place.x);
+            // The next bar needs free space where the ball will be at the next note
+            const pos = ball.body.position;
+            const crowded = walls.concat(candidate).some(wall => Math.hypot(wall.body.position.x - pos.x, wall.body.position.y - pos.y) < barWidth);
+            const score = trial.strays * 1000
+                + (trial.hitTime === null ? 500 : Math.abs(trial.hitTime - target.time) * 100)
+                + (moving ? 0 : 200)
+                + (crowded ? 300 : 0)
+                + (direction === preferred ? 0 : 2)
+                + (w === barWidth ? 0 : 1);
+
+            trial = null;
+            candidate.destroy();
+            restoreBall(start);
+            if (!best || score < best.score) best = { score, place, w, direction };
+        })));
+
+        side = best.direction || preferred;
+        walls.push(new Wall(world, Matter, best.place.x, best.place.y, best.w, barHeight, best.place.angle, target.note, 'rect', instrument));
+        hits.push({ target: target.time, actual: null });
+    });
+
+    const settleUntil = time + SETTLE_TIME;
+    while (walls.length > 0 && time < settleUntil) step();
+
+    return {
+        bars: walls.map(w => ({
+            x: w.body.position.x,
+            y: w.body.position.y,
+            w: w.w,
+            h: w.h,
+            angle: w.body.angle,
+            note: w.note
+        })),
+        hits,
+        strayHits,
+        skipped,
+        offset
+    };
+}
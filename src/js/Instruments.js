@@ -0,0 +1,175 @@
+// Instrument presets played by Synth.buildVoice. Filter cutoffs and FM ratios are
+// multiples of the note frequency, partial ratios multiples of the main oscillator,
+// so a preset sounds alike in every octave. A non-zero `hz` pins a filter or partial
+// to a fixed frequency instead.
+export const DEFAULT_PRESET = {
+    type: 'synth', // 'synth' or 'sample'
+    sample: null, // Sample presets: { data (base64 file), mime, fileName, root, fixedPitch }
+    wave: 'sine', // Main oscillator type
+    pitch: 1, // Main oscillator frequency as a multiple of the note
+    glide: { to: 0, time: 0.15 }, // Pitch drop to `to` Hz (0 = off)
+    // `length` cuts the main oscillator off after that many seconds (0 = when the envelope ends)
+    envelope: { attack: 0.005, decay: 0.6, sustain: 0, hold: 0, release: 0.1, level: 0.25, length: 0 },
+    filter: { type: 'none', cutoff: 4, hz: 0, q: 1, sweep: { to: 0, time: 0.5 } }, // Sweep: cutoff glides to `to` x the note (0 = off)
+    fm: { ratio: 0, depth: 0, decay: 0.3 }, // Modulator frequency ratio and depth (0 = off)
+    partials: [], // Extra sine/other oscillators: { ratio, gain, decay, wave, hz }
+    echoes: [] // Delay taps: { time, gain, cutoff (x the note), tap: 'post' after the envelope or 'pre' before it }
+};
+
+// The original hard-wired instruments, rebuilt as presets with the same
+// oscillators, filters, echo taps and cut-off times
+export const BUILTIN_INSTRUMENTS = {
+    sine: { label: 'Clean (Sine)' },
+    square: {
+        label: '8-Bit (Square)',
+        wave: 'square',
+        envelope: { level: 0.15, length: 0.6 },
+        filter: { type: 'lowpass', hz: 2000, q: 1 }
+    },
+    sawtooth: {
+        label: 'Saxophone-ish (Sawtooth)',
+        wave: 'sawtooth',
+        envelope: { level: 0.15, length: 0.6 },
+        filter: { type: 'lowpass', cutoff: 3, q: 5, sweep: { to: 1.5, time: 0.5 } }
+    },
+    triangle: { label: 'Soft (Triangle)', wave: 'triangle' },
+    bell: {
+        label: 'Wind Chimes (Bell)',
+        envelope: { decay: 1.8, level: 0.35, length: 0.6 }, // The fundamental stops early; the partials ring on
+        filter: { type: 'bandpass', cutoff: 4, q: 3 },
+        fm: { ratio: 3.5, depth: 2, decay: 0.3 },
+        partials: [
+            { ratio: 2.4, gain: 0.25, decay: 1.0 },
+            { ratio: 3.8, gain: 0.18, decay: 0.8 },
+            { ratio: 5.2, gain: 0.15, decay: 0.6 },
+            { ratio: 6.8, gain: 0.1, decay: 0.5 }
+        ]
+    },
+    glass: {
+        label: 'Crystal Glass (Clink)',
+        pitch: 2.5,
+        envelope: { decay: 1.8, level: 0.32, length: 0.6 },
+        filter: { type: 'highpass', cutoff: 1.5, q: 0.7 },
+        partials: [
+            { ratio: 2.2, gain: 0.28, decay: 1.4 },
+            { ratio: 3.4, gain: 0.22, decay: 1.3 },
+            { ratio: 5.1, gain: 0.18, decay: 1.2 },
+            { ratio: 6.8, gain: 0.14, decay: 1.1 },
+            { ratio: 8.9, gain: 0.10, decay: 1.0 },
+            { ratio: 11.2, gain: 0.06, decay: 0.9 }
+        ],
+        // Taken before the envelope, each darker than the last
+        echoes: [
+            { time: 0.1, gain: 0.18, cutoff: 4, tap: 'pre' },
+            { time: 0.2, gain: 0.1, cutoff: 3.5, tap: 'pre' },
+            { time: 0.3, gain: 0.05, cutoff: 3, tap: 'pre' }
+        ]
+    },
+    drum: {
+        label: 'Orchestral Drum (Heroic)',
+        pitch: 0.5,
+        glide: { to: 30, time: 0.15 },
+        envelope: { decay: 0.4, level: 0.5 },
+        partials: [{ hz: 80, gain: 0.3, decay: 0.1, wave: 'square' }] // Impact "punch"
+    }
+};
+
+const WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+const FILTER_TYPES = ['none', 'lowpass', 'highpass', 'bandpass'];
+
+const toNumber = (value, fallback) => {
+    const n = Number(value);
+    return isFinite(n) ? n : fallback;
+};
+
+/**
+ * Fill in every field of a (possibly partial or hand-edited) preset so the
+ * voice builder never has to deal with missing or malformed values.
+ */
+export function normalizePreset(preset = {}) {
+    const d = DEFAULT_PRESET;
+    const env = preset.envelope || {};
+    const filter = preset.filter || {};
+    const fm = preset.fm || {};
+    const glide = preset.glide || {};
+    const sweep = filter.sweep || {};
+    const sample = preset.sample && typeof preset.sample.data === 'string' ? preset.sample : null;
+
+    return {
+        label: preset.label || '',
+        type: preset.type === 'sample' && sample ? 'sample' : 'synth',
+        sample: sample && {
+            data: sample.data,
+            mime: String(sample.mime || 'audio/wav'),
+            fileName: String(sample.fileName || ''),
+            root: String(sample.root || 'C4'),
+            fixedPitch: sample.fixedPitch === true
+        },
+        wave: WAVES.includes(preset.wave) ? preset.wave : d.wave,
+        pitch: Math.max(0.01, toNumber(preset.pitch, d.pitch)),
+        glide: {
+            to: Math.max(0, toNumber(glide.to, d.glide.to)),
+            time: Math.max(0.001, toNumber(glide.time, d.glide.time))
+        },
+        envelope: {
+            attack: Math.max(0.001, toNumber(env.attack, d.envelope.attack)),
+            decay: Math.max(0.001, toNumber(env.decay, d.envelope.decay)),
+            sustain: Math.min(1, Math.max(0, toNumber(env.sustain, d.envelope.sustain))),
+            hold: Math.max(0, toNumber(env.hold, d.envelope.hold)),
+            release: Math.max(0.001, toNumber(env.release, d.envelope.release)),
+            level: Math.min(1, Math.max(0, toNumber(env.level, d.envelope.level))),
+            length: Math.max(0, toNumber(env.length, d.envelope.length))
+        },
+        filter: {
+            type: FILTER_TYPES.includes(filter.type) ? filter.type : d.filter.type,
+            cutoff: Math.max(0.01, toNumber(filter.cutoff, d.filter.cutoff)),
+            hz: Math.min(20000, Math.max(0, toNumber(filter.hz, d.filter.hz))),
+            q: Math.max(0.0001, toNumber(filter.q, d.filter.q)),
+            sweep: {
+                to: Math.max(0, toNumber(sweep.to, d.filter.sweep.to)),
+                time: Math.max(0.001, toNumber(sweep.time, d.filter.sweep.time))
+            }
+        },
+        fm: {
+            ratio: Math.max(0, toNumber(fm.ratio, d.fm.ratio)),
+            depth: Math.max(0, toNumber(fm.depth, d.fm.depth)),
+            decay: Math.max(0.001, toNumber(fm.decay, d.fm.decay))
+        },
+        partials: (Array.isArray(preset.partials) ? preset.partials : [])
+            .map(p => ({
+                ratio: Math.max(0.01, toNumber(p.ratio, 1)),
+                gain: Math.max(0, toNumber(p.gain, 0.1)),
+                decay: Math.max(0.001, toNumber(p.decay, 0.5)),
+                wave: WAVES.includes(p.wave) ? p.wave : 'sine',
+                hz: Math.min(20000, Math.max(0, toNumber(p.hz, 0)))
+            })),
+        echoes: (Array.isArray(preset.echoes) ? preset.echoes : [])
+            .map(e => ({
+                time: Math.min(2, Math.max(0.001, toNumber(e.time, 0.1))),
+                gain: Math.max(0, toNumber(e.gain, 0.1)),
+                cutoff: Math.max(0.01, toNumber(e.cutoff, 4)),
+                tap: e.tap === 'pre' ? 'pre' : 'post'
+            }))
+    };
+}
+
+export const BUILTIN_PRESETS = Object.fromEntries(
+    Object.entries(BUILTIN_INSTRUMENTS).map(([id, preset]) => [id, normalizePreset(preset)])
+);
+
+// Sample files are embedded in project JSON as base64
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
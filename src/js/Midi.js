@@ -0,0 +1,273 @@
+// Standard MIDI File helpers
+export const TICKS_PER_BEAT = 480;
+
+// Variable-length quantity used for delta times and meta lengths
+function writeVarLen(bytes, value) {
+    const stack = [value & 0x7F];
+    while ((value >>= 7) > 0) {
+        stack.push((value & 0x7F) | 0x80);
+    }
+    while (stack.length) bytes.push(stack.pop());
+}
+
+function writeUint32(bytes, value) {
+    bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+function writeText(bytes, text) {
+    const encoded = new TextEncoder().encode(text);
+    writeVarLen(bytes, encoded.length);
+    encoded.forEach(b => bytes.push(b));
+}
+
+function buildChunk(type, body) {
+    const bytes = [];
+    for (let i = 0; i < 4; i++) bytes.push(type.charCodeAt(i));
+    writeUint32(bytes, body.length);
+    return bytes.concat(body);
+}
+
+// Turn absolute-tick events into a track chunk body ending with End of Track
+function encodeTrack(events) {
+    const body = [];
+    let lastTick = 0;
+    events.forEach(e => {
+        writeVarLen(body, e.tick - lastTick);
+        lastTick = e.tick;
+        e.data.forEach(b => body.push(b));
+    });
+    body.push(0x00, 0xFF, 0x2F, 0x00);
+    return body;
+}
+
+// Ticks of a track's notes with same-pitch overlaps resolved: a note still sounding
+// when its pitch starts again ends right there, and notes of one pitch starting on
+// the same tick are played once, so every note-on gets exactly one note-off
+function trackNoteTicks(notes, toTicks) {
+    const ticks = notes
+        .map(n => {
+            const start = toTicks(n.time);
+            return {
+                midi: Math.max(0, Math.min(127, n.midi)),
+                velocity: Math.max(1, Math.min(127, Math.round(n.velocity || 100))),
+                start,
+                end: Math.max(start + 1, toTicks(n.time + n.duration))
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    const sounding = new Map(); // Pitch -> last note started on it
+    return ticks.filter(n => {
+        const previous = sounding.get(n.midi);
+        if (previous && previous.start === n.start) {
+            previous.velocity = Math.max(previous.velocity, n.velocity);
+            previous.end = Math.max(previous.end, n.end);
+            return false;
+        }
+        if (previous && previous.end > n.start) previous.end = n.start;
+        sounding.set(n.midi, n);
+        return true;
+    });
+}
+
+/**
+ * Build a Type-1 MIDI file. Track 0 carries tempo and time signature
+ * ([beats per bar, beat unit]), then one
+ * track per entry in `tracks`: { name, program, channel, notes: [{ time, duration, midi, velocity }] }
+ * with times in seconds and channel 0-15; callers merge tracks when they run out of channels.
+ * Returns the file as a Uint8Array.
+ */
+export function writeMidiFile({ bpm = 120, timeSignature = [4, 4], tracks = [] }) {
+    const ticksPerSecond = TICKS_PER_BEAT * bpm / 60;
+    const toTicks = seconds => Math.max(0, Math.round(seconds * ticksPerSecond));
+    const microsPerBeat = Math.round(60000000 / bpm);
+
+    const conductor = [];
+    conductor.push({ tick: 0, data: [0xFF, 0x51, 0x03, (microsPerBeat >> 16) & 0xFF, (microsPerBeat >> 8) & 0xFF, microsPerBeat & 0xFF] });
+    const [beatsPerBar, beatUnit] = timeSignature;
+    conductor.push({ tick: 0, data: [0xFF, 0x58, 0x04, beatsPerBar, Math.round(Math.log2(beatUnit)), 24, 8] });
+
+    const chunks = [buildChunk('MTrk', encodeTrack(conductor))];
+
+    tracks.forEach(track => {
+        const channel = track.channel || 0;
+        if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+            throw new Error(`MIDI channel ${channel} of track '${track.name}' is outside 0-15.`);
+        }
+        const events = [];
+
+        const nameBytes = [0xFF, 0x03];
+        writeText(nameBytes, track.name || '');
+        events.push({ tick: 0, order: 0, data: nameBytes });
+        events.push({ tick: 0, order: 0, data: [0xC0 | channel, (track.program || 0) & 0x7F] });
+
+        trackNoteTicks(track.notes, toTicks).forEach(n => {
+            events.push({ tick: n.start, order: 2, data: [0x90 | channel, n.midi, n.velocity] });
+            events.push({ tick: n.end, order: 1, data: [0x80 | channel, n.midi, 0] });
+        });
+
+        // Note-offs go before note-ons on the same tick so repeated notes retrigger
+        events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+        chunks.push(buildChunk('MTrk', encodeTrack(events)));
+    });
+
+    const header = [];
+    writeUint32(header, 6);
+    header.push(0x00, 0x01); // Format 1
+    header.push((chunks.length >> 8) & 0xFF, chunks.length & 0xFF);
+    header.push((TICKS_PER_BEAT >> 8) & 0xFF, TICKS_PER_BEAT & 0xFF);
+
+    const file = [0x4D, 0x54, 0x68, 0x64].concat(header);
+    chunks.forEach(c => c.forEach(b => file.push(b)));
+    return new Uint8Array(file);
+}
+
+/**
+ * Read a Standard MIDI File (format 0 or 1). Tempo changes from any track are
+ * merged into one tempo map so note times come back in seconds:
+ * { tracks: [{ name, notes: [{ time, duration, midi, velocity, channel }] }] }
+ */
+export function readMidiFile(arrayBuffer) {
+    const data = new Uint8Array(arrayBuffer);
+    let pos = 0;
+
+    const readUint32 = () => {
+        const v = (data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3];
+        pos += 4;
+        return v >>> 0;
+    };
+    const readUint16 = () => {
+        const v = (data[pos] << 8) | data[pos + 1];
+        pos += 2;
+        return v;
+    };
+    const readVarLen = () => {
+        let value = 0;
+        let b;
+        do {
+            b = data[pos++];
+            value = (value << 7) | (b & 0x7F);
+        } while (b & 0x80);
+        return value;
+    };
+    const readChunkType = () => {
+        const type = String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+        pos += 4;
+        return type;
+    };
+
+    if (readChunkType() !== 'MThd') {
+        throw new Error("Not a MIDI file: 'MThd' header missing.");
+    }
+    const headerLength = readUint32();
+    const headerEnd = pos + headerLength;
+    readUint16(); // Format - 0 and 1 are read the same way
+    const trackCount = readUint16();
+    const division = readUint16();
+    pos = headerEnd;
+
+    if (division & 0x8000) {
+        throw new Error("SMPTE time division is not supported.");
+    }
+
+    const tempoEvents = [];
+    const rawTracks = [];
+
+    for (let t = 0; t < trackCount && pos < data.length; t++) {
+        const type = readChunkType();
+        const length = readUint32();
+        const end = pos + length;
+        if (type !== 'MTrk') {
+            pos = end;
+            continue;
+        }
+
+        const track = { name: '', notes: [] };
+        const open = {}; // "channel:note" -> pending note-on
+        let tick = 0;
+        let status = 0;
+
+        while (pos < end) {
+            tick += readVarLen();
+            const byte = data[pos];
+            if (byte & 0x80) {
+                status = byte;
+                pos++;
+            }
+
+            if (status === 0xFF) {
+                const metaType = data[pos++];
+                const len = readVarLen();
+                if (metaType === 0x51 && len === 3) {
+                    tempoEvents.push({ tick, microsPerBeat: (data[pos] << 16) | (data[pos + 1] << 8) | data[pos + 2] });
+                } else if (metaType === 0x03 && !track.name) {
+                    track.name = new TextDecoder().decode(data.subarray(pos, pos + len));
+                }
+                pos += len;
+                if (metaType === 0x2F) break;
+            } else if (status === 0xF0 || status === 0xF7) {
+                pos += readVarLen();
+            } else {
+                const command = status & 0xF0;
+                const channel = status & 0x0F;
+                const d1 = data[pos++];
+                const d2 = (command === 0xC0 || command === 0xD0) ? 0 : data[pos++];
+                const key = `${channel}:${d1}`;
+
+                if (command === 0x90 && d2 > 0) {
+                    if (!open[key]) open[key] = [];
+                    open[key].push({ tick, midi: d1, velocity: d2, channel });
+                } else if (command === 0x80 || (command === 0x90 && d2 === 0)) {
+                    const pending = open[key] && open[key].shift();
+                    if (pending) track.notes.push({ ...pending, endTick: tick });
+                }
+            }
+        }
+
+        // Notes never released end at the last event of the track
+        Object.values(open).forEach(list => list.forEach(n => track.notes.push({ ...n, endTick: tick })));
+
+        pos = end;
+        rawTracks.push(track);
+    }
+
+    // Tempo map: ticks -> seconds (default 120 BPM until the first tempo event)
+    tempoEvents.sort((a, b) => a.tick - b.tick);
+    const segments = [];
+    let segTick = 0;
+    let segSeconds = 0;
+    let microsPerBeat = 500000;
+    tempoEvents.forEach(e => {
+        segSeconds += (e.tick - segTick) * microsPerBeat / 1e6 / division;
+        segTick = e.tick;
+        microsPerBeat = e.microsPerBeat;
+        segments.push({ tick: segTick, seconds: segSeconds, microsPerBeat });
+    });
+
+    const tickToSeconds = tick => {
+        let seg = { tick: 0, seconds: 0, microsPerBeat: 500000 };
+        for (const s of segments) {
+            if (s.tick > tick) break;
+            seg = s;
+        }
+        return seg.seconds + (tick - seg.tick) * seg.microsPerBeat / 1e6 / division;
+    };
+
+    return {
+        tracks: rawTracks.map(track => ({
+            name: track.name,
+            notes: track.notes
+                .map(n => {
+                    const time = tickToSeconds(n.tick);
+                    return {
+                        time,
+                        duration: tickToSeconds(n.endTick) - time,
+                        midi: n.midi,
+                        velocity: n.velocity,
+                        channel: n.channel
+                    };
+                })
+                .sort((a, b) => a.time - b.time || a.midi - b.midi)
+        }))
+    };
+}
@@ -0,0 +1,114 @@
+// Moving platforms. A motion describes where a bar is, relative to its rest pose,
+// t seconds into a run:
+//   { type: 'oscillate', dx, dy, period }          back and forth between rest and rest + (dx, dy)
+//   { type: 'orbit', cx, cy, period, direction }   circles rest + (cx, cy); direction 1 = clockwise
+//   { type: 'path', keys, loop }                   keyframes [{ t, dx, dy, angle (degrees), ease }];
+//                                                  the rest pose is an implicit key at t = 0
+export const EASINGS = {
+    linear: f => f,
+    in: f => f * f,
+    out: f => f * (2 - f),
+    inout: f => f < 0.5 ? 2 * f * f : 1 - 2 * (1 - f) * (1 - f)
+};
+
+export const PATH_LOOPS = ['pingpong', 'once']; // Back and forth, or stop at the last key
+
+// Starting point when a bar is switched to a motion type in the editor
+export const DEFAULT_MOTIONS = {
+    oscillate: { type: 'oscillate', dx: 150, dy: 0, period: 2 },
+    orbit: { type: 'orbit', cx: 0, cy: -80, period: 3, direction: 1 },
+    path: { type: 'path', loop: 'pingpong', keys: [{ t: 1, dx: 120, dy: 0, angle: 0, ease: 'inout' }] }
+};
+
+// Motorized spinners turn at `speed` degrees per second; direction 1 = clockwise.
+// trigger 'always' starts with the run, 'hit' waits for the bar's first hit.
+export const DEFAULT_SPIN = { speed: 90, direction: 1, trigger: 'always' };
+const MAX_SPIN_SPEED = 720; // Faster spinners let balls pass through their edges
+
+const num = (value, fallback) => {
+    const n = Number(value);
+    return isFinite(n) ? n : fallback;
+};
+
+// Motion of a saved bar: null (fixed) or one of the forms above
+export function normalizeMotion(motion) {
+    if (!motion) return null;
+    const period = Math.min(60, Math.max(0.2, num(motion.period, 2)));
+
+    switch (motion.type) {
+        case 'oscillate':
+            return { type: 'oscillate', dx: num(motion.dx, 0), dy: num(motion.dy, 0), period };
+        case 'orbit':
+            return { type: 'orbit', cx: num(motion.cx, 0), cy: num(motion.cy, 0), period, direction: motion.direction === -1 ? -1 : 1 };
+        case 'path': {
+            const keys = (Array.isArray(motion.keys) ? motion.keys : [])
+                .map(k => ({
+                    t: Math.max(0.05, num(k.t, 1)),
+                    dx: num(k.dx, 0),
+                    dy: num(k.dy, 0),
+                    angle: num(k.angle, 0),
+                    ease: EASINGS[k.ease] ? k.ease : 'linear'
+                }))
+                .sort((a, b) => a.t - b.t);
+            if (keys.length === 0) return null;
+            // Keys need distinct times to interpolate between them
+            keys.forEach((k, i) => { if (i > 0 && k.t <= keys[i - 1].t) k.t = keys[i - 1].t + 0.05; });
+            return { type: 'path', loop: PATH_LOOPS.includes(motion.loop) ? motion.loop : 'pingpong', keys };
+        }
+        default:
+            return null;
+    }
+}
+
+// Offset from the rest pose at `time` seconds: { dx, dy, angle } (angle in radians)
+export function motionOffset(motion, time) {
+    switch (motion.type) {
+        case 'oscillate': {
+            const f = (1 - Math.cos(2 * Math.PI * time / motion.period)) / 2;
+            return { dx: motion.dx * f, dy: motion.dy * f, angle: 0 };
+        }
+        case 'orbit': {
+            // Rotate the rest position around the center; the bar keeps its angle
+            const a = motion.direction * 2 * Math.PI * time / motion.period;
+            const rx = -motion.cx;
+            const ry = -motion.cy;
+            return {
+                dx: motion.cx + rx * Math.cos(a) - ry * Math.sin(a),
+                dy: motion.cy + rx * Math.sin(a) + ry * Math.cos(a),
+                angle: 0
+            };
+        }
+        case 'path': {
+            const keys = [{ t: 0, dx: 0, dy: 0, angle: 0 }, ...motion.keys];
+            const duration = keys[keys.length - 1].t;
+            let t = time;
+            if (motion.loop === 'once') t = Math.min(time, duration);
+            else {
+                t = time % (2 * duration);
+                if (t > duration) t = 2 * duration - t;
+            }
+
+            const i = Math.max(1, keys.findIndex(k => k.t >= t));
+            const from = keys[i - 1];
+            const to = keys[i];
+            const f = EASINGS[to.ease](Math.min(1, (t - from.t) / (to.t - from.t)));
+            return {
+                dx: from.dx + (to.dx - from.dx) * f,
+                dy: from.dy + (to.dy - from.dy) * f,
+                angle: (from.angle + (to.angle - from.angle) * f) * Math.PI / 180
+            };
+        }
+        default:
+            return { dx: 0, dy: 0, angle: 0 };
+    }
+}
+
+// Spin of a saved bar: null (no motor) or { speed, direction, trigger }
+export function normalizeSpin(spin) {
+    if (!spin) return null;
+    return {
+        speed: Math.min(MAX_SPIN_SPEED, Math.max(1, num(spin.speed, DEFAULT_SPIN.speed))),
+        direction: spin.direction === -1 ? -1 : 1,
+        trigger: spin.trigger === 'hit' ? 'hit' : 'always'
+    };
+}
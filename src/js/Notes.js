@@ -0,0 +1,101 @@
+// Note names, MIDI numbers and frequencies
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const LOWEST_NOTE = 24; // C1
+export const HIGHEST_NOTE = 108; // C8
+export const DEFAULT_TUNING = 440; // Frequency of A4 in Hz
+
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Parse a note name such as 'C4', 'F#3', 'Bb5' or 'Ebb2' (or a plain MIDI number)
+// into a MIDI number. Returns null for anything else, including 'Auto'.
+export function noteNameToMidi(name) {
+    const text = String(name).trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+    const match = /^([A-Ga-g])([#b]*)(-?\d+)$/.exec(text);
+    if (!match) return null;
+
+    let offset = 0;
+    for (const ch of match[2]) offset += ch === '#' ? 1 : -1;
+    return (parseInt(match[3], 10) + 1) * 12 + LETTER_SEMITONES[match[1].toUpperCase()] + offset;
+}
+
+export function midiToNoteName(midi) {
+    return NOTE_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+export function midiToFrequency(midi, tuning = DEFAULT_TUNING) {
+    return tuning * Math.pow(2, (midi - 69) / 12);
+}
+
+export function frequencyToMidi(freq, tuning = DEFAULT_TUNING) {
+    return Math.round(69 + 12 * Math.log2(freq / tuning));
+}
+
+// Move a MIDI note by octaves until it fits the playable C1-C8 range
+export function foldIntoRange(midi) {
+    while (midi < LOWEST_NOTE) midi += 12;
+    while (midi > HIGHEST_NOTE) midi -= 12;
+    return midi;
+}
+
+// Frequency of a bar's note, or null when the note is 'Auto' or not a note name
+export function noteFrequency(name, tuning = DEFAULT_TUNING) {
+    const midi = noteNameToMidi(name);
+    if (midi === null) return null;
+    return midiToFrequency(Math.max(LOWEST_NOTE, Math.min(HIGHEST_NOTE, midi)), tuning);
+}
+
+// Semitone offsets from the key root
+export const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 2, 4, 7, 9],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    blues: [0, 3, 5, 6, 7, 10],
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+// `top` / `bottom` is the world Y span mapped onto the range (bottom plays the low note)
+export const DEFAULT_AUTO_PITCH = { key: 'C', scale: 'major', low: 'C3', high: 'C6', top: 0, bottom: 900 };
+
+/**
+ * Snap a position in the pitch range (0 = low note, 1 = high note) to the
+ * nearest degree of the key/scale inside that range. Returns a MIDI number.
+ */
+export function quantizeToScale(position, { key, scale, low, high } = DEFAULT_AUTO_PITCH) {
+    const degrees = SCALES[scale] || SCALES.major;
+    const root = noteNameToMidi(`${key}0`) ?? 12;
+    let lowMidi = noteNameToMidi(low) ?? noteNameToMidi(DEFAULT_AUTO_PITCH.low);
+    let highMidi = noteNameToMidi(high) ?? noteNameToMidi(DEFAULT_AUTO_PITCH.high);
+    if (highMidi < lowMidi) [lowMidi, highMidi] = [highMidi, lowMidi];
+
+    const target = lowMidi + Math.max(0, Math.min(1, position)) * (highMidi - lowMidi);
+    let best = null;
+    for (let midi = lowMidi; midi <= highMidi; midi++) {
+        const degree = ((midi - root) % 12 + 12) % 12;
+        if (!degrees.includes(degree)) continue;
+        if (best === null || Math.abs(midi - target) < Math.abs(best - target)) best = midi;
+    }
+    // A range narrower than one scale step still plays something
+    return best === null ? Math.round(target) : best;
+}
+
+// World Y span of the 'Auto' pitch range; a missing or upside-down span falls back to the default
+export function autoPitchSpan(autoPitch) {
+    const top = Number(autoPitch.top);
+    const bottom = Number(autoPitch.bottom);
+    if (!isFinite(top) || !isFinite(bottom) || bottom <= top) {
+        return { top: DEFAULT_AUTO_PITCH.top, bottom: DEFAULT_AUTO_PITCH.bottom };
+    }
+    return { top, bottom };
+}
+
+// MIDI note a bar at height `y` plays: its own note, or the auto pitch for its height
+export function resolveNoteMidi(y, note, autoPitch = DEFAULT_AUTO_PITCH) {
+    const midi = note ? noteNameToMidi(note) : null;
+    if (midi !== null) return Math.max(LOWEST_NOTE, Math.min(HIGHEST_NOTE, midi));
+    const { top, bottom } = autoPitchSpan(autoPitch);
+    const position = (bottom - y) / (bottom - top);
+    return quantizeToScale(position, autoPitch);
+}
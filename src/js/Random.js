@@ -0,0 +1,65 @@
+// Seeded pseudo-random numbers, so a project looks and sounds the same for everyone
+export const DEFAULT_SEED = 1;
+
+// Independent sequences drawn from the project seed
+export const RANDOM_STREAMS = {
+    layout: 0, // Angles of new bars
+    run: 1, // Hit colors and random arpeggios, restarted every run
+    effects: 2, // Hit and spawn particles, drawn once per event, restarted every run
+    flicker: 3, // Ball trail flicker, looked up by run step and ball
+    reverb: 4 // Reverb impulse, always from DEFAULT_SEED
+};
+
+// Fresh seed for a re-roll; the only place that uses unseeded randomness
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+export function normalizeSeed(value) {
+    const n = Number(value);
+    return isFinite(n) ? Math.floor(Math.abs(n)) % 0x100000000 : DEFAULT_SEED;
+}
+
+/**
+ * mulberry32 generator. `stream` derives independent sequences from one seed,
+ * so e.g. drawing effects never shifts the numbers the music depends on.
+ */
+export class SeededRandom {
+    constructor(seed = DEFAULT_SEED, stream = 0) {
+        this.stream = stream;
+        this.next = this.next.bind(this); // Usable as a plain () => number
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = (normalizeSeed(seed) ^ Math.imul(this.stream, 0x9E3779B9)) >>> 0;
+        this.reset();
+    }
+
+    // Start the sequence over
+    reset() {
+        this.state = this.seed;
+    }
+
+    // Jump to the `index`th number of the sequence, as if next() had run that many times
+    seek(index) {
+        this.state = (this.seed + Math.imul(index, 0x6D2B79F5)) >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+}
@@ -0,0 +1,409 @@
+// Course rules without p5, the DOM or audio. The editor and the headless runner
+// (simulate.js) share them, so a project produces the same hits in both.
+import { Ball, TRAIL_STYLES } from './Ball.js';
+import { Wall, normalizePortal, normalizeTrigger, normalizeNoteMode, normalizeArpRate } from './Wall.js';
+import { configureEngine, stepPhysics, killLine, PHYSICS_STEP_MS } from './physics.js';
+import { readZones } from './Zone.js';
+import { SeededRandom, DEFAULT_SEED, RANDOM_STREAMS } from './Random.js';
+import { normalizeTempo, spawnSchedule, retimeSchedule } from './Tempo.js';
+import { DEFAULT_AUTO_PITCH, noteNameToMidi, midiToNoteName, resolveNoteMidi } from './Notes.js';
+
+export const BALL_RADIUS = 14;
+export const MAX_BALLS_PER_SPAWNER = 3;
+export const MAX_RUN_SECONDS = 120;
+
+// Impact dynamics: harder hits play louder and brighter notes
+export const DEFAULT_DYNAMICS = { curve: 1, threshold: 1 }; // Curve exponent, minimum impact speed
+const MAX_IMPACT_SPEED = 20; // Impact speed that plays at full velocity
+const MIN_NOTE_VELOCITY = 0.1; // Velocity of a hit right at the threshold
+
+// Closing speed of a contact along its normal
+function normalSpeed(pair) {
+    const bodyA = pair.bodyA.parent || pair.bodyA;
+    const bodyB = pair.bodyB.parent || pair.bodyB;
+    const normal = pair.collision.normal;
+    return Math.abs((bodyA.velocity.x - bodyB.velocity.x) * normal.x + (bodyA.velocity.y - bodyB.velocity.y) * normal.y);
+}
+
+// Note velocity (0-1) for a ball/bar contact, or null when it is below the threshold
+export function impactVelocity(pair, dynamics) {
+    const speed = normalSpeed(pair);
+    return speed < dynamics.threshold ? null : noteVelocity(speed, dynamics);
+}
+
+// Note velocity (0-1) for a ball moving at `speed`; slower than the threshold plays softest
+function noteVelocity(speed, dynamics) {
+    const range = Math.max(0.001, MAX_IMPACT_SPEED - dynamics.threshold);
+    const amount = Math.min(1, Math.max(0, (speed - dynamics.threshold) / range));
+    return MIN_NOTE_VELOCITY + (1 - MIN_NOTE_VELOCITY) * Math.pow(amount, dynamics.curve);
+}
+
+// Ball a spawner fires: size, weight, launch velocity (px per physics step) and look
+export const DEFAULT_SPAWNER_BALL = { radius: BALL_RADIUS, density: 0.01, vx: 0, vy: 0, color: '#ffffff', trail: 'fire' };
+const MAX_LAUNCH_SPEED = 40; // Ball.limitSpeed caps anything faster
+
+const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+export function normalizeSpawnerBall(ball = {}) {
+    const d = DEFAULT_SPAWNER_BALL;
+    return {
+        radius: num(ball.radius, d.radius, 4, 60),
+        density: num(ball.density, d.density, 0.0005, 0.1),
+        vx: num(ball.vx, d.vx, -MAX_LAUNCH_SPEED, MAX_LAUNCH_SPEED),
+        vy: num(ball.vy, d.vy, -MAX_LAUNCH_SPEED, MAX_LAUNCH_SPEED),
+        color: /^#[0-9a-f]{6}$/i.test(ball.color) ? ball.color : d.color,
+        trail: TRAIL_STYLES.includes(ball.trail) ? ball.trail : d.trail
+    };
+}
+
+// A ball fired by a spawner with the given ball settings
+export function spawnerBall(Matter, world, x, y, settings, bounce, spawnerIndex) {
+    const ball = new Ball(world, Matter, x, y, settings.radius, bounce, settings.color, false, spawnerIndex, settings);
+    if (settings.vx || settings.vy) Matter.Body.setVelocity(ball.body, { x: settings.vx, y: settings.vy });
+    return ball;
+}
+
+// A spawner keeps at most MAX_BALLS_PER_SPAWNER of its own balls in play
+export function spawnerIsFull(balls, spawnerIndex) {
+    if (spawnerIndex === null) return false;
+    return balls.filter(b => b.spawnerIndex === spawnerIndex && !b.wasStatic).length >= MAX_BALLS_PER_SPAWNER;
+}
+
+// Spawners of a project file; old files have a single `spawner`
+export function readSpawners(data) {
+    if (Array.isArray(data.spawners)) {
+        return data.spawners.map(s => ({
+            x: Number(s.x),
+            y: Number(s.y),
+            r: Number(s.r || 18),
+            delay: Number(s.delay || 0),
+            ...(typeof s.beat === 'number' ? { beat: s.beat } : {}),
+            ball: normalizeSpawnerBall(s.ball)
+        }));
+    }
+    if (data.spawner) return [{ x: Number(data.spawner.x), y: Number(data.spawner.y), r: 18, delay: 0, ball: normalizeSpawnerBall() }];
+    return [];
+}
+
+// Bar as saved in project JSON, history and the clipboard. Links to other bars
+// are saved as indices into `bars`, the list being saved.
+export function serializeBar(b, bars = []) {
+    const pose = b.restPose(); // Moving platforms are saved where they rest
+    return {
+        x: pose.x,
+        y: pose.y,
+        w: b.w,
+        h: b.h,
+        angle: pose.angle,
+        note: b.note,
+        shape: b.shape,
+        instrument: b.instrument,
+        curvatureTop: b.curvatureTop || 0,
+        curvatureBottom: b.curvatureBottom || 0,
+        maxHits: b.maxHits || 0,
+        pan: b.pan ?? null,
+        notes: [...(b.notes || [])],
+        noteMode: b.noteMode || 'chord',
+        arpRate: b.arpRate ?? 0.12,
+        material: b.material ? { ...b.material } : null,
+        motion: b.motion ? JSON.parse(JSON.stringify(b.motion)) : null,
+        spin: b.spin ? { ...b.spin } : null,
+        portal: b.portal ? { ...b.portal, link: bars.indexOf(b.linkedPortal) } : null,
+        trigger: b.trigger ? { ...b.trigger, target: bars.indexOf(b.triggerTarget) } : null,
+        gate: b.gate ? { ...b.gate, source: bars.indexOf(b.gateSource) } : null
+    };
+}
+
+// Rebuild a bar from a serialized record, optionally at another position
+export function createBar(Matter, world, b, x = b.x, y = b.y) {
+    const bar = new Wall(
+        world, Matter,
+        Number(x), Number(y),
+        Number(b.w), Number(b.h),
+        Number(b.angle || 0),
+        b.note || 'Auto',
+        b.shape || 'rect',
+        b.instrument || 'sine',
+        Number(b.curvatureTop || 0),
+        Number(b.curvatureBottom || 0)
+    );
+    bar.maxHits = b.maxHits || 0;
+    bar.pan = typeof b.pan === 'number' ? b.pan : null;
+    bar.notes = Array.isArray(b.notes) ? b.notes.map(String) : [];
+    bar.noteMode = normalizeNoteMode(b.noteMode);
+    bar.arpRate = normalizeArpRate(b.arpRate);
+    if (b.material) bar.setMaterial(b.material);
+    if (b.motion) bar.setMotion(b.motion);
+    if (b.spin) bar.setSpin(b.spin);
+    if (b.portal && bar.portal) bar.portal = normalizePortal(b.portal);
+    if (b.trigger && bar.trigger) bar.trigger = normalizeTrigger(b.trigger);
+    if (b.gate) bar.setGate(b.gate);
+    return bar;
+}
+
+// Reconnect the links of bars rebuilt from `records` (in the same order)
+export function linkBars(bars, records) {
+    records.forEach((r, i) => {
+        const link = r.portal ? bars[r.portal.link] : null;
+        if (link && link.portal && link !== bars[i]) bars[i].linkTo(link);
+        const target = r.trigger ? bars[r.trigger.target] : null;
+        if (target && target !== bars[i]) bars[i].triggerTarget = target;
+        const source = r.gate ? bars[r.gate.source] : null;
+        if (source && source !== bars[i]) bars[i].gateSource = source;
+    });
+}
+
+/**
+ * Apply the game rules to the contacts of `engine`. `scene` exposes balls, bars,
+ * zones, placeholders (resting balls), world, bounce, dynamics and random; read through
+ * getters is fine, since the editor swaps its arrays out.
+ * handlers.onActivate(placeholder, ball): a resting ball was knocked loose
+ * handlers.onBarHit(bar, ball, velocity, notes, point): a bar sounded `notes` ([{ note, delay }])
+ * handlers.onTrigger(event): a ball entered a sensor whose action the scene carries out,
+ *   { action: 'spawn', spawner, sensor, ball } or { action: 'tempo', bpm, sensor, ball }.
+ *   'note' and 'toggle' sensors are handled here, like bar hits.
+ */
+export function watchCollisions(Matter, engine, scene, handlers = {}) {
+    const boosts = []; // Balls to speed up once this step's contacts are resolved
+    const teleports = []; // Balls that entered a portal this step
+
+    // A bar's material decides the bounce and friction of an impact. Resting and
+    // rolling contacts keep the engine's mix of ball and bar values.
+    const applyMaterial = (pair, bar) => {
+        if (!bar.material) return;
+        pair.restitution = bar.material.restitution;
+        pair.friction = bar.material.friction;
+    };
+
+    Matter.Events.on(engine, 'afterUpdate', () => {
+        scene.balls.forEach(b => { if (b.portalCooldown > 0) b.portalCooldown--; });
+        teleports.forEach(({ ball, portal }) => {
+            const exit = portal.exitFor(ball.body.position, ball.body.velocity);
+            Matter.Body.setPosition(ball.body, exit.position);
+            Matter.Body.setVelocity(ball.body, exit.velocity);
+            ball.trail = []; // Don't draw a streak across the jump
+        });
+        teleports.length = 0;
+
+        boosts.forEach(({ ball, boost }) => {
+            const v = ball.body.velocity;
+            Matter.Body.setVelocity(ball.body, { x: v.x * boost, y: v.y * boost });
+        });
+        boosts.length = 0;
+    });
+
+    // Gates wired to a bar or sensor react to its hits
+    const notifyGates = source => scene.bars.forEach(b => {
+        if (b.gateSource === source) b.onSourceHit();
+    });
+
+    // A bar sounding from a ball contact, when the impact is hard enough
+    // Rolling and resting contacts are too soft to count as a hit
+    const hit = (barObj, ballObj, pair, velocity = impactVelocity(pair, scene.dynamics)) => {
+        if (velocity === null) return;
+
+        barObj.onHit(scene.random.next);
+        const notes = barObj.nextNotes(scene.random.next);
+        ballObj.color = barObj.settings.color; // Ball takes on the bar's color
+        notifyGates(barObj);
+
+        if (handlers.onBarHit) {
+            handlers.onBarHit(barObj, ballObj, velocity, notes, pair.collision.supports[0] || pair.bodyA.position);
+        }
+    };
+
+    // Nothing strikes a sensor or portal: a ball passing through sounds it at the ball's own speed
+    const passVelocity = ball => noteVelocity(Math.hypot(ball.body.velocity.x, ball.body.velocity.y), scene.dynamics);
+
+    // A ball entering a sensor fires its action
+    const trigger = (sensor, ball, pair) => {
+        const { action, spawner, bpm } = sensor.trigger;
+        if (action === 'note') {
+            hit(sensor, ball, pair, passVelocity(ball));
+            return;
+        }
+        sensor.glow = 1.0;
+        notifyGates(sensor);
+        if (action === 'toggle') {
+            const target = sensor.triggerTarget;
+            if (target && scene.bars.includes(target)) target.setVanished(!target.isVanished);
+        } else if (handlers.onTrigger) {
+            handlers.onTrigger(action === 'spawn' ? { action, spawner, sensor, ball } : { action, bpm, sensor, ball });
+        }
+    };
+
+    const activate = (index, color) => {
+        const placeholder = scene.placeholders[index];
+        const ball = new Ball(scene.world, Matter, placeholder.x, placeholder.y, placeholder.radius, scene.bounce, color, false);
+        scene.balls.push(ball);
+        scene.placeholders.splice(index, 1);
+        if (handlers.onActivate) handlers.onActivate(placeholder, ball);
+    };
+
+    // A ball and bar meeting in one step count once
+    const sound = (barObj, ballObj, pair) => {
+        if (barObj.trigger) {
+            trigger(barObj, ballObj, pair);
+            return;
+        }
+
+        if (barObj.portal) {
+            if (ballObj.portalCooldown > 0) return; // Just came out of a portal
+            if (barObj.linkedPortal) {
+                ballObj.portalCooldown = Math.round(barObj.portal.cooldown * 1000 / PHYSICS_STEP_MS);
+                teleports.push({ ball: ballObj, portal: barObj });
+            }
+            if (barObj.portal.playNote) hit(barObj, ballObj, pair, passVelocity(ballObj));
+            return;
+        }
+
+        if (barObj.material && barObj.material.boost !== 1) {
+            boosts.push({ ball: ballObj, boost: barObj.material.boost });
+        }
+
+        // A seesaw tipping into a resting ball knocks it loose too
+        const barContact = pair.collision.supports[0] || pair.bodyA.position;
+        const index = scene.placeholders.findLastIndex(p =>
+            Math.hypot(barContact.x - p.x, barContact.y - p.y) < p.radius + 10);
+        if (index !== -1) activate(index, barObj.settings.color);
+
+        hit(barObj, ballObj, pair);
+    };
+
+    Matter.Events.on(engine, 'collisionStart', (event) => {
+        // A curved bar is a compound body, and each part it touches brings its own
+        // pair: keep the hardest contact of every ball and bar
+        const contacts = [];
+
+        event.pairs.forEach(pair => {
+            // Get parent bodies (for compound bodies)
+            const bodyA = pair.bodyA.parent || pair.bodyA;
+            const bodyB = pair.bodyB.parent || pair.bodyB;
+
+            const ballObjA = scene.balls.find(b => b.body === bodyA);
+            const ballObjB = scene.balls.find(b => b.body === bodyB);
+            if (ballObjA && ballObjB) return; // Ignore ball-to-ball collisions
+
+            // A ball touching a resting ball knocks it loose
+            if (ballObjA || ballObjB) {
+                const activeBall = ballObjA || ballObjB;
+                const contact = pair.collision.supports[0] || bodyA.position;
+                const index = scene.placeholders.findLastIndex(p =>
+                    Math.hypot(contact.x - p.x, contact.y - p.y) < p.radius + activeBall.radius);
+                if (index !== -1) activate(index, activeBall.color); // Inherit color from hitting ball
+            }
+
+            const barObjA = scene.bars.find(b => b.body === bodyA);
+            const barObjB = scene.bars.find(b => b.body === bodyB);
+            if (barObjA && barObjB) return; // Ignore bar-to-bar (especially seesaw) contacts
+
+            const barObj = barObjA || barObjB;
+            const ballObj = ballObjA || ballObjB;
+            if (!barObj || !ballObj) return;
+
+            if (!barObj.trigger && !barObj.portal) applyMaterial(pair, barObj);
+
+            const speed = normalSpeed(pair);
+            const known = contacts.find(c => c.bar === barObj && c.ball === ballObj);
+            if (!known) contacts.push({ bar: barObj, ball: ballObj, pair, speed });
+            else if (speed > known.speed) Object.assign(known, { pair, speed });
+        });
+
+        contacts.forEach(c => sound(c.bar, c.ball, c.pair));
+    });
+}
+
+// One fixed step of a course: physics, then balls that fell past everything are removed
+export function stepScene(Matter, engine, scene) {
+    stepPhysics(Matter, engine, scene.balls, scene.bars, scene.zones || [], scene.time ?? null);
+
+    const killY = killLine(scene.spawners, scene.bars, scene.placeholders);
+    for (let i = scene.balls.length - 1; i >= 0; i--) {
+        if (scene.balls[i].isOffScreen(killY)) {
+            scene.balls[i].destroy();
+            scene.balls.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * A project run on its own engine, for use outside the browser:
+ *   new Simulation(Matter, projectJson).run(30) -> [{ time, bar, note, midi, instrument, velocity }]
+ * Hits come out in time order, with arpeggio notes at their own times.
+ */
+export class Simulation {
+    constructor(Matter, project = {}) {
+        this.Matter = Matter;
+        this.engine = Matter.Engine.create();
+        this.world = this.engine.world;
+        configureEngine(this.engine, Number(project.gravity ?? 1));
+
+        this.bounce = Number(project.bounce ?? 0.8);
+        this.tempo = normalizeTempo(project.tempo);
+        this.autoPitch = { ...DEFAULT_AUTO_PITCH, ...(project.autoPitch || {}) };
+        this.dynamics = { ...DEFAULT_DYNAMICS, ...(project.dynamics || {}) };
+        this.random = new SeededRandom(project.seed ?? DEFAULT_SEED, RANDOM_STREAMS.run);
+
+        this.spawners = readSpawners(project);
+        this.bars = (project.bars || []).map(b => createBar(Matter, this.world, b));
+        linkBars(this.bars, project.bars || []);
+        this.zones = readZones(project);
+        this.placeholders = [];
+        this.balls = [];
+        this.hits = [];
+        this.time = 0;
+        this.queue = []; // Spawns still to come in the current run
+
+        watchCollisions(Matter, this.engine, this, {
+            onBarHit: (bar, ball, velocity, notes) => notes.forEach(n => this.logHit(bar, velocity, n)),
+            onTrigger: event => {
+                if (event.action === 'spawn') this.spawn(event.spawner);
+                if (event.action === 'tempo') this.setTempo(event.bpm);
+            }
+        });
+    }
+
+    spawn(index) {
+        const s = this.spawners[index];
+        if (!s || spawnerIsFull(this.balls, index)) return;
+        this.balls.push(spawnerBall(this.Matter, this.world, s.x, s.y, s.ball, this.bounce, index));
+    }
+
+    // A tempo sensor changes the tempo for the rest of the run
+    setTempo(bpm) {
+        const next = normalizeTempo({ ...this.tempo, bpm });
+        this.queue = retimeSchedule(this.queue, this.time, this.tempo, next);
+        this.tempo = next;
+    }
+
+    logHit(bar, velocity, { note, delay }) {
+        const midi = resolveNoteMidi(bar.body.position.y, note, this.autoPitch);
+        this.hits.push({
+            time: this.time + delay,
+            bar: this.bars.indexOf(bar),
+            note: noteNameToMidi(note) !== null ? note : midiToNoteName(midi),
+            midi,
+            instrument: bar.instrument || 'sine',
+            velocity
+        });
+    }
+
+    // Fire the spawners on schedule and step until every ball is gone or `duration` seconds have passed
+    run(duration = MAX_RUN_SECONDS) {
+        this.queue = spawnSchedule(this.spawners, this.tempo);
+        const maxSteps = Math.ceil(duration * 1000 / PHYSICS_STEP_MS);
+
+        for (let step = 0; step < maxSteps; step++) {
+            this.time = step * PHYSICS_STEP_MS / 1000;
+            while (this.queue.length > 0 && this.queue[0].time <= this.time) this.spawn(this.queue.shift().index);
+            if (this.queue.length === 0 && this.balls.length === 0) break;
+            stepScene(this.Matter, this.engine, this);
+        }
+        return this.hits
+            .filter(h => h.time < duration)
+            .sort((a, b) => a.time - b.time);
+    }
+}
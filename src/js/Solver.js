@@ -0,0 +1,91 @@
+// Melody solver: builds courses for a note list with several bar sizes and tilt
+// sets, checks each one with the full game rules and keeps the closest match.
+import { buildCourse } from './CourseBuilder.js';
+import { Simulation } from './Simulation.js';
+
+export const SOLVE_TOLERANCE = 0.05; // Seconds a hit may be off and still count as on time
+
+// Search space: every combination is built and verified
+const BAR_WIDTHS = [90, 120, 65];
+const ANGLE_SETS = [
+    [0.35, 0.6, 0.9, 1.2],
+    [0.2, 0.45, 0.75, 1.05, 1.35]
+];
+
+/**
+ * Run a built course with the real collision rules (impact threshold, other
+ * bars on the course) and match hits to bars in order.
+ * Returns [{ note, target, actual, error }] (times in seconds, actual/error null when missed) and strayHits.
+ */
+function verify(Matter, course, options) {
+    const obstacles = options.obstacles || [];
+    const project = {
+        gravity: options.gravity,
+        bounce: options.bounce,
+        dynamics: options.dynamics,
+        seed: options.seed,
+        zones: options.zones,
+        spawners: [{ x: options.spawner.x, y: options.spawner.y, delay: 0, ball: options.spawner.ball }],
+        bars: [...obstacles, ...course.bars.map(b => ({ ...b, instrument: options.instrument }))]
+    };
+    const lastTarget = course.hits.length > 0 ? course.hits[course.hits.length - 1].target : 0;
+    const hits = new Simulation(Matter, project).run(lastTarget + 2);
+
+    // Notes of one contact (chords) share a time; count each contact once
+    const contacts = hits.filter((h, i) => i === 0 || h.bar !== hits[i - 1].bar || h.time !== hits[i - 1].time);
+    let cursor = 0;
+    const report = course.bars.map((bar, i) => {
+        const target = course.hits[i].target;
+        const barIndex = obstacles.length + i;
+        const found = contacts.findIndex((c, j) => j >= cursor && c.bar === barIndex);
+        if (found === -1) return { note: bar.note, target, actual: null, error: null };
+        cursor = found + 1;
+        const actual = contacts[found].time;
+        return { note: bar.note, target, actual, error: actual - target };
+    });
+    return { report, strayHits: contacts.length - report.filter(r => r.actual !== null).length };
+}
+
+// Lower is better: misses dominate, then hits outside the tolerance, then strays and timing
+function score({ report, strayHits }) {
+    return report.reduce((sum, r) => {
+        if (r.error === null) return sum + 1000;
+        return sum + (Math.abs(r.error) > SOLVE_TOLERANCE ? 100 : 0) + Math.abs(r.error) * 10;
+    }, 0) + strayHits * 20;
+}
+
+/**
+ * options: { spawner, notes, gravity, bounce, dynamics, seed, instrument, obstacles, zones }
+ * onProgress({ attempt, attempts, bestScore }) is called after every candidate.
+ * Returns { bars, report, strayHits, skipped, offset } for the best candidate.
+ * Report times are in the user's timeline (the fall-time offset is taken out).
+ */
+export function solveMelody(Matter, options, onProgress = () => {}) {
+    const attempts = BAR_WIDTHS.flatMap(barWidth => ANGLE_SETS.map(angles => ({ barWidth, angles })));
+    let best = null;
+
+    for (let i = 0; i < attempts.length; i++) {
+        const course = buildCourse(Matter, { ...options, ...attempts[i] });
+        const result = { course, ...verify(Matter, course, options) };
+        result.score = score(result);
+        if (!best || result.score < best.score) best = result;
+        onProgress({ attempt: i + 1, attempts: attempts.length, bestScore: best.score });
+
+        // Every note on time with nothing extra: no need to keep searching
+        if (best.strayHits === 0 && best.report.every(r => r.error !== null && Math.abs(r.error) <= SOLVE_TOLERANCE)) break;
+    }
+
+    const offset = best.course.offset;
+    return {
+        bars: best.course.bars,
+        report: best.report.map(r => ({
+            note: r.note,
+            target: r.target - offset,
+            actual: r.actual === null ? null : r.actual - offset,
+            error: r.error
+        })),
+        strayHits: best.strayHits,
+        skipped: best.course.skipped,
+        offset
+    };
+}
@@ -0,0 +1,243 @@
+import { SeededRandom, DEFAULT_SEED, RANDOM_STREAMS } from './Random.js';
+
+// Builds one voice of an instrument preset (see Instruments.js) on `ctx`, routed into
+// `out`. Returns the scheduled sources and the time the voice falls silent so the
+// bus can manage polyphony.
+function buildVoice(ctx, out, freq, preset, t) {
+    const sources = [];
+    let end = t;
+    
+    const schedule = (node, stopAt) => {
+        node.start(t);
+        node.stop(stopAt);
+        sources.push({ node, stopAt });
+        end = Math.max(end, stopAt);
+    };
+    
+    const base = freq * preset.pitch;
+    const osc = ctx.createOscillator();
+    osc.type = preset.wave;
+    osc.frequency.setValueAtTime(base, t);
+    if (preset.glide.to > 0) {
+        osc.frequency.exponentialRampToValueAtTime(preset.glide.to, t + preset.glide.time);
+    }
+    
+    // FM for metallic character
+    const fm = preset.fm;
+    if (fm.ratio > 0 && fm.depth > 0) {
+        const modulator = ctx.createOscillator();
+        const modGain = ctx.createGain();
+        modulator.frequency.setValueAtTime(freq * fm.ratio, t);
+        modGain.gain.setValueAtTime(freq * fm.depth, t);
+        modGain.gain.exponentialRampToValueAtTime(0.001, t + fm.decay);
+        modulator.connect(modGain);
+        modGain.connect(osc.frequency);
+        schedule(modulator, t + fm.decay);
+    }
+    
+    // Envelope: attack to level, decay to sustain, hold, then release to silence.
+    // Hits have no note-off, so `hold` stands in for how long the key is down.
+    const env = preset.envelope;
+    const gain = ctx.createGain();
+    const peak = Math.max(env.level, 0.001);
+    const sustainLevel = Math.max(env.level * env.sustain, 0.001);
+    const releaseStart = t + env.attack + env.decay + env.hold;
+    const stopAt = releaseStart + env.release;
+    gain.gain.setValueAtTime(0.001, t);
+    gain.gain.linearRampToValueAtTime(peak, t + env.attack);
+    gain.gain.exponentialRampToValueAtTime(sustainLevel, t + env.attack + env.decay);
+    gain.gain.setValueAtTime(sustainLevel, releaseStart);
+    gain.gain.exponentialRampToValueAtTime(0.0001, stopAt);
+    
+    // `pre` is the main signal before the envelope, where 'pre' echo taps listen
+    let pre = osc;
+    if (preset.filter.type !== 'none') {
+        const { hz, cutoff, sweep, q } = preset.filter;
+        const filter = ctx.createBiquadFilter();
+        filter.type = preset.filter.type;
+        filter.frequency.setValueAtTime(Math.min(hz || freq * cutoff, 20000), t);
+        if (sweep.to > 0) filter.frequency.exponentialRampToValueAtTime(Math.min(freq * sweep.to, 20000), t + sweep.time);
+        filter.Q.value = q;
+        osc.connect(filter);
+        pre = filter;
+    }
+    pre.connect(gain);
+    gain.connect(out);
+    schedule(osc, env.length > 0 ? Math.min(stopAt, t + env.length) : stopAt);
+    
+    // Partials ring on their own, outside the main filter and envelope
+    preset.partials.forEach(p => {
+        const partial = ctx.createOscillator();
+        const partialGain = ctx.createGain();
+        partial.type = p.wave;
+        partial.frequency.setValueAtTime(p.hz || base * p.ratio, t);
+        partialGain.gain.setValueAtTime(p.gain, t);
+        partialGain.gain.exponentialRampToValueAtTime(0.001, t + p.decay);
+        partial.connect(partialGain);
+        partialGain.connect(out);
+        schedule(partial, t + p.decay);
+    });
+    
+    // Echo taps, lowpassed so the repeats stay soft
+    const tail = end;
+    preset.echoes.forEach(e => {
+        const delay = ctx.createDelay(2);
+        const echoFilter = ctx.createBiquadFilter();
+        const echoGain = ctx.createGain();
+        delay.delayTime.value = e.time;
+        echoFilter.type = 'lowpass';
+        echoFilter.frequency.value = Math.min(freq * e.cutoff, 20000);
+        echoGain.gain.value = e.gain;
+        (e.tap === 'pre' ? pre : gain).connect(delay);
+        delay.connect(echoFilter);
+        echoFilter.connect(echoGain);
+        echoGain.connect(out);
+        end = Math.max(end, tail + e.time);
+    });
+    
+    return { sources, end };
+}
+
+// Plays a sample preset, pitched by playback rate from its root note. The game
+// attaches the decoded `buffer` and the root note's `rootFrequency` to the preset.
+function buildSampleVoice(ctx, out, freq, preset, t) {
+    if (!preset.buffer) return { sources: [], end: t }; // Still decoding
+    
+    const source = ctx.createBufferSource();
+    const gain = ctx.createGain();
+    const rate = preset.sample.fixedPitch ? 1 : freq / preset.rootFrequency;
+    const stopAt = t + preset.buffer.duration / rate;
+    const fade = Math.min(0.01, (stopAt - t) / 2); // Avoid a click at the end
+    
+    source.buffer = preset.buffer;
+    source.playbackRate.setValueAtTime(rate, t);
+    gain.gain.setValueAtTime(preset.envelope.level, t);
+    gain.gain.setValueAtTime(preset.envelope.level, stopAt - fade);
+    gain.gain.linearRampToValueAtTime(0, stopAt);
+    source.connect(gain);
+    gain.connect(out);
+    source.start(t);
+    source.stop(stopAt);
+    
+    return { sources: [{ node: source, stopAt }], end: stopAt };
+}
+
+// Decaying stereo noise used as the reverb impulse response
+function createImpulseResponse(ctx, seconds = 2.5, decay = 3) {
+    const length = Math.floor(ctx.sampleRate * seconds);
+    const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+    const random = new SeededRandom(DEFAULT_SEED, RANDOM_STREAMS.reverb); // Same room for everyone
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (random.next() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+    return impulse;
+}
+
+export const DEFAULT_AUDIO_SETTINGS = { volume: 0.8, reverb: 0.2, maxVoices: 24 };
+
+/**
+ * Shared output chain for all voices:
+ * voices -> input -> limiter -> master volume -> destination,
+ * with a reverb send from the input back into the limiter.
+ * Keeps at most `maxVoices` voices sounding by stealing the oldest one.
+ */
+export class MasterBus {
+    constructor(ctx, settings = DEFAULT_AUDIO_SETTINGS) {
+        this.ctx = ctx;
+        this.voices = [];
+        this.maxVoices = settings.maxVoices;
+
+        this.input = ctx.createGain();
+
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.threshold.value = -6;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.15;
+
+        this.master = ctx.createGain();
+        this.master.gain.value = settings.volume;
+
+        this.reverbSend = ctx.createGain();
+        this.reverbSend.gain.value = settings.reverb;
+        this.reverb = ctx.createConvolver();
+        this.reverb.buffer = createImpulseResponse(ctx);
+
+        this.input.connect(this.limiter);
+        this.input.connect(this.reverbSend);
+        this.reverbSend.connect(this.reverb);
+        this.reverb.connect(this.limiter);
+        this.limiter.connect(this.master);
+        this.master.connect(ctx.destination);
+    }
+
+    setVolume(value) {
+        this.master.gain.setTargetAtTime(value, this.ctx.currentTime, 0.02);
+    }
+
+    setReverb(value) {
+        this.reverbSend.gain.setTargetAtTime(value, this.ctx.currentTime, 0.02);
+    }
+
+    setMaxVoices(value) {
+        this.maxVoices = Math.max(1, value);
+    }
+
+    // `preset` comes from Instruments.normalizePreset; velocity (0-1) sets both
+    // the loudness and how bright the voice sounds
+    playVoice(freq, preset, t = this.ctx.currentTime, velocity = 1, pan = 0) {
+        // Arpeggio notes are scheduled ahead, so the list is not in start order:
+        // steal the voice that starts first
+        this.voices = this.voices.filter(v => v.end > t);
+        while (this.voices.length >= this.maxVoices) {
+            const oldest = this.voices.reduce((a, b) => b.start < a.start ? b : a);
+            this.voices.splice(this.voices.indexOf(oldest), 1);
+            this.stealVoice(oldest, t);
+        }
+
+        const out = this.ctx.createGain();
+        out.gain.value = velocity;
+        const tone = this.ctx.createBiquadFilter();
+        tone.type = 'lowpass';
+        tone.frequency.value = 800 * Math.pow(24, velocity); // 800 Hz soft .. ~19 kHz full
+        const panner = this.ctx.createStereoPanner();
+        panner.pan.value = Math.max(-1, Math.min(1, pan));
+        out.connect(tone);
+        tone.connect(panner);
+        panner.connect(this.input);
+        const build = preset.type === 'sample' ? buildSampleVoice : buildVoice;
+        const voice = build(this.ctx, out, freq, preset, t);
+        voice.out = out;
+        voice.velocity = velocity;
+        voice.start = t;
+        this.voices.push(voice);
+    }
+
+    // Metronome tick; skips the voice cap and the reverb
+    playClick(t = this.ctx.currentTime, accent = false) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.frequency.value = accent ? 1600 : 1000;
+        gain.gain.setValueAtTime(accent ? 0.4 : 0.25, t);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
+        osc.connect(gain);
+        gain.connect(this.limiter);
+        osc.start(t);
+        osc.stop(t + 0.05);
+    }
+
+    // Quick fade instead of a hard cut so stolen voices don't click
+    stealVoice(voice, t) {
+        const fade = 0.015;
+        voice.out.gain.cancelScheduledValues(t);
+        voice.out.gain.setValueAtTime(voice.velocity, t);
+        voice.out.gain.linearRampToValueAtTime(0, t + fade);
+        voice.sources.forEach(({ node, stopAt }) => {
+            if (stopAt > t + fade) node.stop(t + fade);
+        });
+    }
+}
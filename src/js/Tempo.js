@@ -0,0 +1,83 @@
+// Project tempo grid: BPM, time signature, swing and beat <-> seconds conversion
+export const DEFAULT_TEMPO = {
+    bpm: 120,
+    beatsPerBar: 4,
+    beatUnit: 4, // Note value of one beat (4 = quarter, 8 = eighth)
+    swing: 0, // 0 = straight, 1 = offbeats pushed to the triplet position
+    metronome: false,
+    unit: 'seconds', // Unit of spawner delays: 'seconds' or 'beats'
+    grid: 4 // Beat subdivisions spawner delays snap to
+};
+
+export function normalizeTempo(tempo = {}) {
+    const number = (value, fallback, min, max) => {
+        const n = Number(value);
+        return isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    return {
+        bpm: number(tempo.bpm, DEFAULT_TEMPO.bpm, 20, 400),
+        beatsPerBar: Math.round(number(tempo.beatsPerBar, DEFAULT_TEMPO.beatsPerBar, 1, 16)),
+        beatUnit: [2, 4, 8, 16].includes(Number(tempo.beatUnit)) ? Number(tempo.beatUnit) : DEFAULT_TEMPO.beatUnit,
+        swing: number(tempo.swing, DEFAULT_TEMPO.swing, 0, 1),
+        metronome: tempo.metronome === true,
+        unit: tempo.unit === 'beats' ? 'beats' : 'seconds',
+        grid: Math.round(number(tempo.grid, DEFAULT_TEMPO.grid, 1, 16))
+    };
+}
+
+// Offbeat position inside a beat once swing is applied (0.5 straight, 2/3 full swing)
+function swingPoint(swing) {
+    return 0.5 + swing / 6;
+}
+
+/**
+ * Beats from the start of the run -> seconds. Swing delays the second half of
+ * every beat, stretching the first half and squeezing the second.
+ */
+export function beatsToSeconds(beats, tempo) {
+    const whole = Math.floor(beats);
+    const f = beats - whole;
+    const p = swingPoint(tempo.swing);
+    const warped = f < 0.5 ? f / 0.5 * p : p + (f - 0.5) / 0.5 * (1 - p);
+    return (whole + warped) * 60 / tempo.bpm;
+}
+
+export function secondsToBeats(seconds, tempo) {
+    const beats = seconds * tempo.bpm / 60;
+    const whole = Math.floor(beats);
+    const f = beats - whole;
+    const p = swingPoint(tempo.swing);
+    const straight = f < p ? f / p * 0.5 : 0.5 + (f - p) / (1 - p) * 0.5;
+    return whole + straight;
+}
+
+export function quantizeBeat(beats, grid) {
+    return Math.max(0, Math.round(beats * grid) / grid);
+}
+
+// Spawner delay in beats; spawners saved in seconds snap to the grid
+export function spawnerBeat(spawner, tempo) {
+    return typeof spawner.beat === 'number'
+        ? spawner.beat
+        : quantizeBeat(secondsToBeats(spawner.delay || 0, tempo), tempo.grid);
+}
+
+// Spawner delay in seconds, following the tempo grid when delays are in beats
+export function spawnerDelay(spawner, tempo) {
+    return tempo.unit === 'beats' ? beatsToSeconds(spawnerBeat(spawner, tempo), tempo) : (spawner.delay || 0);
+}
+
+// Remaining spawns once the tempo changes `now` seconds into a run: delays set in
+// beats follow the new tempo, delays in seconds keep their time
+export function retimeSchedule(queue, now, oldTempo, newTempo) {
+    if (oldTempo.unit !== 'beats') return queue;
+    const ratio = oldTempo.bpm / newTempo.bpm;
+    return queue.map(q => ({ ...q, time: now + Math.max(0, q.time - now) * ratio }));
+}
+
+// Spawn times (in seconds) for every spawner, in firing order
+export function spawnSchedule(spawners, tempo) {
+    return spawners
+        .map((s, index) => ({ index, time: spawnerDelay(s, tempo) }))
+        .sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,129 @@
+// Piano-roll view of the hits of a run, drawn on its own 2D canvas
+const PADDING = { left: 36, right: 10, top: 8, bottom: 18 };
+const NOTE_WIDTH = 6; // Width in px of one hit
+const MIN_PITCH_SPAN = 12; // Show at least an octave
+const MIN_TIME_SPAN = 4; // Seconds
+
+// Stable color per bar, so the same bar looks the same in every run
+export function barColor(barIndex) {
+    return `hsl(${(barIndex * 137.5) % 360}, 85%, 62%)`;
+}
+
+export class HitTimeline {
+    constructor(canvas, onSelect) {
+        this.canvas = canvas;
+        this.onSelect = onSelect;
+        this.events = [];
+        this.layout = null;
+
+        canvas.addEventListener('click', e => {
+            const rect = canvas.getBoundingClientRect();
+            const event = this.eventAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (event) this.onSelect(event);
+        });
+    }
+
+    /**
+     * events: [{ time, midi, barIndex }], playhead: current run time in seconds (or null),
+     * selected: bar index to highlight (or null)
+     */
+    render(events, playhead = null, selected = null) {
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const w = canvas.clientWidth;
+        const h = canvas.clientHeight;
+        if (canvas.width !== Math.round(w * ratio) || canvas.height !== Math.round(h * ratio)) {
+            canvas.width = Math.round(w * ratio);
+            canvas.height = Math.round(h * ratio);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, w, h);
+        this.events = events;
+
+        // Pitch range of this run, padded to at least an octave
+        let low = Infinity, high = -Infinity;
+        events.forEach(e => {
+            low = Math.min(low, e.midi);
+            high = Math.max(high, e.midi);
+        });
+        if (events.length === 0) {
+            low = 60;
+            high = 72;
+        }
+        if (high - low < MIN_PITCH_SPAN) {
+            const mid = Math.round((high + low) / 2);
+            low = mid - MIN_PITCH_SPAN / 2;
+            high = mid + MIN_PITCH_SPAN / 2;
+        }
+        const duration = Math.max(MIN_TIME_SPAN, playhead || 0, ...events.map(e => e.time + 0.5));
+
+        const plotW = w - PADDING.left - PADDING.right;
+        const plotH = h - PADDING.top - PADDING.bottom;
+        const rowH = plotH / (high - low + 1);
+        const x = t => PADDING.left + t / duration * plotW;
+        const y = midi => PADDING.top + (high - midi) * rowH;
+        this.layout = { x, y, rowH };
+
+        // Pitch rows: C rows are labelled and drawn brighter
+        ctx.font = '9px sans-serif';
+        ctx.textBaseline = 'middle';
+        for (let midi = low; midi <= high; midi++) {
+            const isC = midi % 12 === 0;
+            const isBlackKey = [1, 3, 6, 8, 10].includes(midi % 12);
+            if (!isBlackKey) {
+                ctx.fillStyle = isC ? 'rgba(255,255,255,0.06)' : 'rgba(255,255,255,0.02)';
+                ctx.fillRect(PADDING.left, y(midi), plotW, rowH - 1);
+            }
+            if (isC) {
+                ctx.fillStyle = 'rgba(255,255,255,0.5)';
+                ctx.fillText(`C${midi / 12 - 1}`, 4, y(midi) + rowH / 2);
+            }
+        }
+
+        // One grid line per second
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.textBaseline = 'alphabetic';
+        for (let t = 0; t <= duration; t++) {
+            ctx.beginPath();
+            ctx.moveTo(x(t), PADDING.top);
+            ctx.lineTo(x(t), h - PADDING.bottom);
+            ctx.stroke();
+            ctx.fillText(`${t}s`, x(t) - 4, h - 5);
+        }
+
+        events.forEach(e => {
+            ctx.fillStyle = barColor(e.barIndex);
+            ctx.globalAlpha = selected === null || selected === e.barIndex ? 1 : 0.35;
+            ctx.fillRect(x(e.time), y(e.midi), NOTE_WIDTH, Math.max(2, rowH - 1));
+        });
+        ctx.globalAlpha = 1;
+
+        if (playhead !== null) {
+            ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+            ctx.beginPath();
+            ctx.moveTo(x(playhead), PADDING.top);
+            ctx.lineTo(x(playhead), h - PADDING.bottom);
+            ctx.stroke();
+        }
+    }
+
+    // Hit event under a point in canvas CSS pixels (a little slack around each note)
+    eventAt(px, py) {
+        if (!this.layout) return null;
+        const { x, y, rowH } = this.layout;
+        let best = null;
+        let bestDistance = Infinity;
+        this.events.forEach(e => {
+            const dx = px - (x(e.time) + NOTE_WIDTH / 2);
+            const dy = py - (y(e.midi) + rowH / 2);
+            const distance = Math.hypot(dx, dy);
+            if (Math.abs(dx) < NOTE_WIDTH + 3 && Math.abs(dy) < rowH / 2 + 3 && distance < bestDistance) {
+                best = e;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+}
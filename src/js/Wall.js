@@ -1,3 +1,88 @@
+import { normalizeMotion, normalizeSpin, motionOffset } from './Motion.js';
+
+// Surface presets. A bar without a material keeps the engine's default impacts
+// (the higher bounce and lower friction of ball and bar); a material decides its
+// impacts on its own. `boost` multiplies the ball's speed as it leaves the bar.
+export const MATERIAL_PRESETS = {
+    rubber: { label: 'Rubber', restitution: 0.95, friction: 0.6, boost: 1 },
+    wood: { label: 'Wood', restitution: 0.45, friction: 0.4, boost: 1 },
+    ice: { label: 'Ice', restitution: 0.3, friction: 0, boost: 1 },
+    trampoline: { label: 'Trampoline', restitution: 1, friction: 0.1, boost: 1.25 }
+};
+
+const clamp = (value, fallback, min, max) => {
+    const n = Number(value);
+    return isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// How a bar with a note list plays it: all at once, arpeggiated, or one note per hit
+export const NOTE_MODES = ['chord', 'up', 'down', 'random', 'roundrobin'];
+
+export function normalizeNoteMode(mode) {
+    return NOTE_MODES.includes(mode) ? mode : 'chord';
+}
+
+// Seconds between arpeggio notes
+export function normalizeArpRate(rate) {
+    return clamp(rate ?? 0.12, 0.12, 0.02, 1);
+}
+
+// Material of a saved bar: null (standard) or { preset, restitution, friction, boost }
+export function normalizeMaterial(material) {
+    if (!material) return null;
+    const preset = MATERIAL_PRESETS[material.preset];
+    const base = preset || { restitution: 0.8, friction: 0.1, boost: 1 };
+    return {
+        preset: preset ? material.preset : 'custom',
+        restitution: clamp(material.restitution, base.restitution, 0, 1.5),
+        friction: clamp(material.friction, base.friction, 0, 1),
+        boost: clamp(material.boost, base.boost, 0.5, 2)
+    };
+}
+
+// Portal settings: seconds before a ball that came through can enter a portal
+// again (stops it bouncing between the pair), and whether entering plays the bar's note
+export const DEFAULT_PORTAL = { cooldown: 0.5, playNote: false };
+
+// Sensors let balls through and fire an action as one enters:
+//   note   - play the sensor's note(s) like a bar hit
+//   spawn  - fire spawner `spawner` (index)
+//   toggle - hide the target bar, or bring it back
+//   tempo  - change the tempo of the running sequence to `bpm`
+// `hidden` sensors draw only a faint outline instead of a translucent fill.
+export const SENSOR_ACTIONS = ['note', 'spawn', 'toggle', 'tempo'];
+
+export function normalizeTrigger(trigger = {}) {
+    return {
+        action: SENSOR_ACTIONS.includes(trigger.action) ? trigger.action : 'note',
+        spawner: Math.max(0, Math.round(clamp(trigger.spawner, 0, 0, 999))),
+        bpm: clamp(trigger.bpm, 120, 20, 400),
+        hidden: Boolean(trigger.hidden)
+    };
+}
+
+// Logic gates: a bar that opens (disappears) or closes (comes back) when its source
+// bar or sensor is hit. `count` turns it into a counter acting on every Nth hit,
+// `once` into a one-shot switch. `open` is how the gate starts every run.
+export const GATE_ACTIONS = ['toggle', 'open', 'close'];
+
+export function normalizeGate(gate) {
+    if (!gate) return null;
+    return {
+        action: GATE_ACTIONS.includes(gate.action) ? gate.action : 'toggle',
+        count: Math.round(clamp(gate.count, 1, 1, 99)),
+        once: Boolean(gate.once),
+        open: Boolean(gate.open)
+    };
+}
+
+export function normalizePortal(portal) {
+    return {
+        cooldown: clamp(portal && portal.cooldown, DEFAULT_PORTAL.cooldown, 0.1, 5),
+        playNote: Boolean(portal && portal.playNote)
+    };
+}
+
 export class Wall {
     constructor(world, Matter, x, y, w, h, angle, note = 'Auto', shape = 'rect', instrument = 'sine', curvatureTop = 0, curvatureBottom = 0) {
         this.Matter = Matter;
@@ -12,6 +97,26 @@ export class Wall {
         this.initialAngle = angle || 0; // Store initial angle for seesaw reset
         this.index = null; // Will be set by game.js
         this.maxHits = 0; // 0 means infinite
+        this.pan = null; // Fixed stereo position (-1..1), null follows the bar's X
+        this.notes = []; // Optional note list; when set it replaces `note`
+        this.noteMode = 'chord'; // 'chord', 'up', 'down', 'random' or 'roundrobin'
+        this.arpRate = 0.12; // Seconds between arpeggio notes
+        this.material = null; // Surface material, see MATERIAL_PRESETS (null = standard)
+        this.motion = null; // Moving platform path, see Motion.js (null = fixed)
+        this.spin = null; // Motor turning the bar, see Motion.js (null = none)
+        this.spinStarted = false; // Set by the first hit of a 'hit' triggered spinner
+        this.spinStart = null; // Run time (seconds) the motor of a 'hit' spinner started at
+        this.home = null; // Rest pose { x, y, angle } while the bar is away from it
+        this.portal = shape === 'portal' ? normalizePortal() : null; // Portal settings, see DEFAULT_PORTAL
+        this.linkedPortal = null; // Portal that balls entering this one come out of
+        this.trigger = shape === 'sensor' ? normalizeTrigger() : null; // Sensor action, see SENSOR_ACTIONS
+        this.triggerTarget = null; // Bar a 'toggle' sensor hides and shows
+        this.gate = null; // Logic gate settings, see GATE_ACTIONS (null = plain bar)
+        this.gateSource = null; // Bar or sensor whose hits drive the gate
+        this.gateHits = 0; // Source hits counted this run
+        this.gateFired = false; // A one-shot gate has acted this run
+        this.selectedKey = 0; // Path keyframe edited in the panel
+        this.roundRobinIndex = 0;
         this.currentHits = 0;
         this.isVanished = false;
         
@@ -34,8 +139,7 @@ export class Wall {
             isStatic: true,
             angle: angle || 0,
             label: 'bar',
-            restitution: this.settings.restitution,
-            friction: 0.1,
+            ...this.surface(),
             slop: 0.01 // Reduce collision slop for tighter collision detection
         };
 
@@ -113,14 +217,17 @@ export class Wall {
                 const v = vertices[i];
                 this.vertices.push({ x: v.x, y: v.yBottom });
             }
+        } else if (this.shape === 'portal' || this.shape === 'sensor') {
+            // Balls pass through; the collision rules act on them as they enter
+            this.vertices = null;
+            this.body = this.Matter.Bodies.rectangle(x, y, this.w, this.h, { ...options, isSensor: true });
         } else if (this.shape === 'seesaw') {
             // Seesaw - dynamic body that can rotate around center pivot like a compass needle
             const seesawOptions = {
                 isStatic: false,
                 angle: angle || 0,
                 label: 'seesaw',
-                restitution: 0, // No bounce at all
-                friction: 1, // Maximum friction to hold the ball
+                ...this.surface(),
                 density: 0.001, // Very light so ball weight matters more
                 frictionAir: 0.01, // Minimal air resistance
                 slop: 0.05
@@ -158,22 +265,24 @@ export class Wall {
             });
         }
         
-        this.Matter.World.add(this.world, this.body);
+        // An open gate stays out of the world when it is resized or reshaped
+        if (!this.isVanished) this.Matter.World.add(this.world, this.body);
     }
 
     draw(p) {
-        if (this.isVanished) return;
+        // Gate links always show, so a machine's wiring can be read at a glance
+        if (this.gateSource) this.drawLink(p, this.gateSource, this, [255, 170, 0], this.isFocused || this.gateSource.isFocused ? 200 : 60);
+        if (this.isVanished) {
+            if (this.gate) this.drawGhost(p);
+            return;
+        }
+        if (this.isFocused && !this.hideHandles && this.motion) this.drawMotion(p);
+        if (this.isFocused && this.linkedPortal) this.drawLink(p, this, this.linkedPortal, [190, 110, 255], 150);
+        if (this.isFocused && this.triggerTarget) this.drawLink(p, this, this.triggerTarget, [190, 110, 255], 150);
         p.push();
         p.translate(this.body.position.x, this.body.position.y);
         p.rotate(this.body.angle);
         
-        // Apply self-balancing torque for seesaw
-        if (this.shape === 'seesaw') {
-            const angleDiff = this.initialAngle - this.body.angle;
-            const restoreTorque = angleDiff * 0.0002; // Gentle restoration force
-            this.Matter.Body.setAngularVelocity(this.body, this.body.angularVelocity + restoreTorque);
-        }
-        
         this.glow *= 0.95;
         
         // Shadow/Glow - Performance Optimized
@@ -216,6 +325,29 @@ export class Wall {
             p.beginShape();
             this.vertices.forEach(v => p.vertex(v.x, v.y));
             p.endShape(p.CLOSE);
+        } else if (this.shape === 'sensor') {
+            // Translucent box, or just a faint outline when hidden
+            p.rectMode(p.CENTER);
+            if (this.trigger.hidden) {
+                p.noFill();
+                if (!this.isFocused) p.stroke(255, 30);
+                p.drawingContext.setLineDash([4, 6]);
+                p.rect(0, 0, this.w, this.h, 4);
+                p.drawingContext.setLineDash([]);
+            } else {
+                p.fill(255, 255, 255, 18 + this.glow * 60);
+                if (!this.isFocused) p.stroke(255, 70 + this.glow * 150);
+                p.rect(0, 0, this.w, this.h, 4);
+            }
+        } else if (this.shape === 'portal') {
+            // Swirling slot; an unlinked portal stays grey
+            const linked = this.linkedPortal !== null;
+            p.fill(linked ? p.color(120, 40, 200, 90) : p.color(60, 90));
+            if (!this.isFocused) p.stroke(linked ? p.color(190, 110, 255) : p.color(110));
+            p.ellipse(0, 0, this.w, this.h);
+            p.noFill();
+            p.strokeWeight(1);
+            p.ellipse(0, 0, this.w * 0.6, this.h * 0.6);
         } else if (this.shape === 'seesaw') {
             p.rectMode(p.CENTER);
             p.rect(0, 0, this.w, this.h, 8);
@@ -235,6 +367,19 @@ export class Wall {
             p.rect(0, 0, this.w, this.h, 10);
         }
         
+        // Motor marker: an arc arrow in the spin direction
+        if (this.spin) {
+            p.push();
+            p.noFill();
+            p.stroke(this.spinStarted || this.spin.trigger === 'always' ? 200 : 110);
+            p.strokeWeight(1.5);
+            p.scale(this.spin.direction, 1);
+            p.arc(0, 0, 14, 14, -p.HALF_PI, p.PI);
+            p.line(-7, 0, -10, 3);
+            p.line(-7, 0, -4, 3);
+            p.pop();
+        }
+        
         // Always show index number (small)
         if (this.index !== null && !this.isFocused) {
             p.push();
@@ -254,7 +399,7 @@ export class Wall {
             p.textSize(11);
             p.textAlign(p.CENTER);
             const labelY = this.shape === 'rect' ? -this.h/2 - 40 : -this.w/2 - 45;
-            p.text(this.note, 0, labelY);
+            p.text(this.noteLabel(), 0, labelY);
             
             // Show bar index number
             if (this.index !== null) {
@@ -297,6 +442,213 @@ export class Wall {
         p.pop();
     }
 
+    // Dashed line between two bars, with an arrow head at `to`
+    drawLink(p, from, to, [r, g, b], alpha) {
+        const a = from.body.position;
+        const z = to.body.position;
+        const angle = Math.atan2(z.y - a.y, z.x - a.x);
+        p.push();
+        p.stroke(r, g, b, alpha);
+        p.strokeWeight(1.5);
+        p.drawingContext.setLineDash([8, 6]);
+        p.line(a.x, a.y, z.x, z.y);
+        p.drawingContext.setLineDash([]);
+        p.translate((a.x + z.x) / 2, (a.y + z.y) / 2);
+        p.rotate(angle);
+        p.line(0, 0, -8, -5);
+        p.line(0, 0, -8, 5);
+        p.pop();
+    }
+
+    // Outline of an open gate, so it can still be found and edited
+    drawGhost(p) {
+        p.push();
+        p.translate(this.body.position.x, this.body.position.y);
+        p.rotate(this.body.angle);
+        p.noFill();
+        p.stroke(255, 170, 0, this.isFocused ? 220 : 90);
+        p.strokeWeight(this.isFocused ? 2 : 1.5);
+        p.drawingContext.setLineDash([6, 6]);
+        if (this.shape === 'circle') p.circle(0, 0, this.w);
+        else {
+            p.rectMode(p.CENTER);
+            p.rect(0, 0, this.w, this.h, 6);
+        }
+        p.drawingContext.setLineDash([]);
+        p.pop();
+    }
+
+    // Bounce and friction the body is created with
+    surface() {
+        if (this.material) return { restitution: this.material.restitution, friction: this.material.friction };
+        if (this.shape === 'seesaw') return { restitution: 0, friction: 1 }; // Holds the ball without bouncing
+        return { restitution: this.settings.restitution, friction: 0.1 };
+    }
+
+    setMaterial(material) {
+        this.material = normalizeMaterial(material);
+        const { restitution, friction } = this.surface();
+        this.body.parts.forEach(part => {
+            part.restitution = restitution;
+            part.friction = friction;
+        });
+    }
+
+    setMotion(motion) {
+        this.stopMotion();
+        this.motion = this.shape === 'seesaw' ? null : normalizeMotion(motion); // Seesaws already move on their own
+        this.selectedKey = Math.min(this.selectedKey, this.motion && this.motion.keys ? this.motion.keys.length - 1 : 0);
+    }
+
+    setSpin(spin) {
+        this.stopMotion();
+        this.spin = this.shape === 'seesaw' ? null : normalizeSpin(spin);
+    }
+
+    // Pose the bar is saved and edited at, wherever it is along its motion
+    restPose() {
+        if (this.home) return { ...this.home };
+        return { x: this.body.position.x, y: this.body.position.y, angle: this.body.angle };
+    }
+
+    // Put the bar where its motion and spin have it `time` seconds into the run. The body
+    // stays static but takes the velocity of the move, so balls ride on it and impacts
+    // feel its speed. Returns true when the bar moved.
+    poseAt(time) {
+        const spinning = this.spin && (this.spin.trigger === 'always' || this.spinStarted);
+        if (!this.motion && !spinning) return false;
+        if (!this.home) this.home = this.restPose();
+
+        const offset = this.motion ? motionOffset(this.motion, time) : { dx: 0, dy: 0, angle: 0 };
+        let spinAngle = 0;
+        if (spinning) {
+            if (this.spin.trigger === 'hit' && this.spinStart === null) this.spinStart = time;
+            const spun = time - (this.spin.trigger === 'hit' ? this.spinStart : 0);
+            spinAngle = this.spin.direction * this.spin.speed * Math.PI / 180 * spun;
+        }
+
+        this.Matter.Body.setPosition(this.body, { x: this.home.x + offset.dx, y: this.home.y + offset.dy }, true);
+        this.Matter.Body.setAngle(this.body, this.home.angle + offset.angle + spinAngle, true);
+        return true;
+    }
+
+    // Back to the rest pose, ready to start the motion over
+    stopMotion() {
+        if (this.home) {
+            this.Matter.Body.setPosition(this.body, { x: this.home.x, y: this.home.y });
+            this.Matter.Body.setAngle(this.body, this.home.angle);
+            this.Matter.Body.setVelocity(this.body, { x: 0, y: 0 });
+            this.Matter.Body.setAngularVelocity(this.body, 0);
+            this.home = null;
+        }
+        this.spinStarted = false;
+        this.spinStart = null;
+    }
+
+    // Editor handles of the motion in world coordinates: [{ kind, index, x, y }]
+    motionHandles() {
+        if (!this.motion) return [];
+        const rest = this.restPose();
+        switch (this.motion.type) {
+            case 'oscillate':
+                return [{ kind: 'end', index: 0, x: rest.x + this.motion.dx, y: rest.y + this.motion.dy }];
+            case 'orbit':
+                return [{ kind: 'center', index: 0, x: rest.x + this.motion.cx, y: rest.y + this.motion.cy }];
+            default:
+                return this.motion.keys.map((k, i) => ({ kind: 'key', index: i, x: rest.x + k.dx, y: rest.y + k.dy }));
+        }
+    }
+
+    motionHandleAt(px, py) {
+        return this.motionHandles().find(h => Math.hypot(px - h.x, py - h.y) < 12) || null;
+    }
+
+    moveMotionHandle(handle, x, y) {
+        const rest = this.restPose();
+        const dx = x - rest.x;
+        const dy = y - rest.y;
+        if (handle.kind === 'end') Object.assign(this.motion, { dx, dy });
+        else if (handle.kind === 'center') Object.assign(this.motion, { cx: dx, cy: dy });
+        else Object.assign(this.motion.keys[handle.index], { dx, dy });
+    }
+
+    // Path of the motion with its handles, drawn in world coordinates
+    drawMotion(p) {
+        const rest = this.restPose();
+        p.push();
+        p.noFill();
+        p.stroke(0, 255, 100, 120);
+        p.strokeWeight(1.5);
+        p.drawingContext.setLineDash([6, 6]);
+        if (this.motion.type === 'orbit') {
+            const cx = rest.x + this.motion.cx;
+            const cy = rest.y + this.motion.cy;
+            p.circle(cx, cy, 2 * Math.hypot(this.motion.cx, this.motion.cy));
+        } else {
+            p.beginShape();
+            p.vertex(rest.x, rest.y);
+            this.motionHandles().forEach(h => p.vertex(h.x, h.y));
+            p.endShape();
+        }
+        p.drawingContext.setLineDash([]);
+
+        p.noStroke();
+        p.textSize(10);
+        p.textAlign(p.CENTER);
+        this.motionHandles().forEach(h => {
+            const selected = h.kind === 'key' && h.index === this.selectedKey;
+            p.fill(0, 255, 100, selected ? 255 : 170);
+            if (h.kind === 'center') {
+                p.rectMode(p.CENTER);
+                p.rect(h.x, h.y, 12, 12, 2);
+            } else {
+                p.circle(h.x, h.y, selected ? 14 : 11);
+            }
+            if (h.kind === 'key') {
+                p.fill(255, 180);
+                p.text(`${this.motion.keys[h.index].t}s`, h.x, h.y - 12);
+            }
+        });
+        p.pop();
+    }
+
+    linkTo(portal) {
+        this.unlink();
+        if (!portal || portal === this) return;
+        portal.unlink();
+        this.linkedPortal = portal;
+        portal.linkedPortal = this;
+    }
+
+    unlink() {
+        if (this.linkedPortal) this.linkedPortal.linkedPortal = null;
+        this.linkedPortal = null;
+    }
+
+    // Where a ball at `position` moving at `velocity` comes out of the linked portal:
+    // at the same place relative to it, with the same speed, turned by the angle between the two
+    exitFor(position, velocity) {
+        const to = this.linkedPortal.body;
+        const turn = to.angle - this.body.angle;
+        const rotate = v => ({
+            x: v.x * Math.cos(turn) - v.y * Math.sin(turn),
+            y: v.x * Math.sin(turn) + v.y * Math.cos(turn)
+        });
+        const offset = rotate({ x: position.x - this.body.position.x, y: position.y - this.body.position.y });
+        return {
+            position: { x: to.position.x + offset.x, y: to.position.y + offset.y },
+            velocity: rotate(velocity)
+        };
+    }
+
+    // Apply self-balancing torque for seesaw
+    applyBalance() {
+        if (this.shape !== 'seesaw') return;
+        const angleDiff = this.initialAngle - this.body.angle;
+        const restoreTorque = angleDiff * 0.0002; // Gentle restoration force
+        this.Matter.Body.setAngularVelocity(this.body, this.body.angularVelocity + restoreTorque);
+    }
+
     resize(newW, newH) {
         this.w = Math.max(20, newW);
         this.h = Math.max(10, newH);
@@ -307,6 +659,14 @@ export class Wall {
     }
 
     setShape(shape) {
+        if (shape === 'seesaw') {
+            this.setMotion(null);
+            this.setSpin(null);
+        }
+        if (shape !== 'portal') this.unlink();
+        this.portal = shape === 'portal' ? normalizePortal(this.portal) : null;
+        this.trigger = shape === 'sensor' ? normalizeTrigger(this.trigger || {}) : null;
+        if (!this.trigger) this.triggerTarget = null;
         this.shape = shape;
         const pos = { x: this.body.position.x, y: this.body.position.y };
         const ang = this.body.angle;
@@ -363,6 +723,11 @@ export class Wall {
     }
 
     setPosition(x, y) {
+        if (this.home) {
+            // Moving platforms keep their path relative to where they rest
+            this.home.x += x - this.body.position.x;
+            this.home.y += y - this.body.position.y;
+        }
         this.Matter.Body.setPosition(this.body, { x, y });
         // Also move pivot for seesaw
         if (this.shape === 'seesaw' && this.pivot) {
@@ -373,6 +738,7 @@ export class Wall {
     setAngle(angle) {
         // Seesaw rotation is controlled by physics, not manual
         if (this.shape === 'seesaw') return;
+        if (this.home) this.home.angle += angle - this.body.angle;
         this.Matter.Body.setAngle(this.body, angle);
     }
 
@@ -385,8 +751,10 @@ export class Wall {
         this.createBody(pos.x, pos.y, ang);
     }
 
-    onHit() {
+    // `random` returns floats in [0, 1); the game passes its seeded generator
+    onHit(random = Math.random) {
         this.glow = 1.0;
+        if (this.spin) this.spinStarted = true;
         
         if (this.maxHits > 0 && !this.isVanished) {
             this.currentHits++;
@@ -401,10 +769,36 @@ export class Wall {
             this.activated = true;
             // Random neon color on hit
             const neonColors = ['#FF00CC', '#33FF00', '#00FFFF', '#FF3300', '#FFFF00', '#FF00FF', '#00FF66'];
-            this.settings.color = neonColors[Math.floor(Math.random() * neonColors.length)];
+            this.settings.color = neonColors[Math.floor(random() * neonColors.length)];
         }
     }
 
+    setGate(gate) {
+        this.gate = normalizeGate(gate);
+        if (!this.gate) this.gateSource = null;
+        this.gateHits = 0;
+        this.gateFired = false;
+        this.setVanished(Boolean(this.gate && this.gate.open));
+    }
+
+    // The gate's source was hit: count it, and act when the count comes round
+    onSourceHit() {
+        if (!this.gate || (this.gate.once && this.gateFired)) return;
+        this.gateHits++;
+        if (this.gateHits % this.gate.count !== 0) return;
+        this.gateFired = true;
+        this.glow = 1.0;
+        const { action } = this.gate;
+        this.setVanished(action === 'open' ? true : action === 'close' ? false : !this.isVanished);
+    }
+
+    // Hidden bars are out of the world until shown again (or reset)
+    setVanished(vanished) {
+        this.isVanished = vanished;
+        if (vanished) this.hide();
+        else this.show();
+    }
+
     hide() {
         if (this.body) {
             this.Matter.Composite.remove(this.world, this.body);
@@ -420,7 +814,39 @@ export class Wall {
         }
     }
 
+    noteLabel() {
+        if (this.notes.length === 0) return this.note;
+        const symbols = { chord: '+', up: '\u2191', down: '\u2193', random: '?', roundrobin: '\u21bb' };
+        return `${symbols[this.noteMode] || ''} ${this.notes.join(' ')}`;
+    }
+
+    // Notes to play for one hit, with their delay in seconds from the hit
+    nextNotes(random = Math.random) {
+        if (this.notes.length === 0) return [{ note: this.note, delay: 0 }];
+
+        switch (this.noteMode) {
+            case 'roundrobin': {
+                const note = this.notes[this.roundRobinIndex % this.notes.length];
+                this.roundRobinIndex++;
+                return [{ note, delay: 0 }];
+            }
+            case 'up':
+                return this.notes.map((note, i) => ({ note, delay: i * this.arpRate }));
+            case 'down':
+                return [...this.notes].reverse().map((note, i) => ({ note, delay: i * this.arpRate }));
+            case 'random':
+                return this.notes
+                    .map(note => ({ note, order: random() }))
+                    .sort((a, b) => a.order - b.order)
+                    .map(({ note }, i) => ({ note, delay: i * this.arpRate }));
+            default:
+                return this.notes.map(note => ({ note, delay: 0 }));
+        }
+    }
+
     reset() {
+        this.stopMotion();
+        this.roundRobinIndex = 0;
         this.activated = false;
         this.settings.color = '#444444';
         this.glow = 0;
@@ -429,9 +855,13 @@ export class Wall {
             this.isVanished = false;
             this.show();
         }
+        this.gateHits = 0;
+        this.gateFired = false;
+        if (this.gate && this.gate.open) this.setVanished(true);
     }
 
     destroy() {
+        this.unlink();
         this.Matter.World.remove(this.world, this.body);
         if (this.shape === 'seesaw' && this.pivot && this.constraint) {
             this.Matter.World.remove(this.world, [this.pivot, this.constraint]);
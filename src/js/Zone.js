@@ -0,0 +1,183 @@
+// Force field zones: areas that push on the balls inside them every physics step.
+// Zones have no body; balls pass through them freely.
+export const ZONE_TYPES = {
+    wind: { label: 'Wind', color: [0, 200, 255] }, // Constant push towards `direction`
+    attract: { label: 'Attractor', color: [255, 200, 0] }, // Pull towards the center
+    repel: { label: 'Repeller', color: [255, 80, 80] }, // Push away from the center
+    drag: { label: 'Drag (Slow Motion)', color: [160, 160, 255] }, // Bleeds off speed
+    gravity: { label: 'Local Gravity', color: [120, 255, 140] } // Replaces gravity with `strength` g towards `direction`
+};
+
+const GRAVITY_SCALE = 0.001; // Matter's default gravity scale: strengths are in g
+const MAX_DRAG = 0.1; // Share of its speed a ball loses per step at drag strength 1
+
+const num = (value, fallback, min, max) => {
+    const n = Number(value);
+    return isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+export class Zone {
+    constructor(data = {}) {
+        this.x = num(data.x, 0, -1e6, 1e6);
+        this.y = num(data.y, 0, -1e6, 1e6);
+        this.w = num(data.w, 240, 20, 5000);
+        this.h = num(data.h, 160, 20, 5000);
+        this.shape = data.shape === 'circle' ? 'circle' : 'rect'; // Circles use `w` as diameter
+        this.type = ZONE_TYPES[data.type] ? data.type : 'wind';
+        this.strength = num(data.strength, 0.5, 0, 5);
+        this.falloff = num(data.falloff, 0, 0, 1); // 0 = even, 1 = fades to nothing at the edge
+        this.direction = num(data.direction, 0, -360, 360); // Degrees, 0 = right, 90 = down
+        this.isFocused = false;
+    }
+
+    serialize() {
+        const { x, y, w, h, shape, type, strength, falloff, direction } = this;
+        return { x, y, w, h, shape, type, strength, falloff, direction };
+    }
+
+    // 0 at the center, 1 at the edge, above 1 outside
+    edgeDistance(px, py) {
+        const dx = px - this.x;
+        const dy = py - this.y;
+        if (this.shape === 'circle') return Math.hypot(dx, dy) / (this.w / 2);
+        return Math.max(Math.abs(dx) / (this.w / 2), Math.abs(dy) / (this.h / 2));
+    }
+
+    contains(px, py) {
+        return this.edgeDistance(px, py) <= 1;
+    }
+
+    // Strength multiplier at a point: 1 everywhere, or fading towards the edge
+    influence(px, py) {
+        const d = this.edgeDistance(px, py);
+        if (d > 1) return 0;
+        return 1 - this.falloff * d;
+    }
+
+    // Push one ball for one step. `gravity` is the engine's gravity vector.
+    // Returns false when the ball is outside the zone.
+    applyTo(Matter, body, gravity) {
+        const influence = this.influence(body.position.x, body.position.y);
+        if (influence <= 0) return false;
+        const amount = influence * this.strength;
+
+        const angle = this.direction * Math.PI / 180;
+        const force = body.mass * GRAVITY_SCALE;
+        switch (this.type) {
+            case 'wind':
+                Matter.Body.applyForce(body, body.position, { x: Math.cos(angle) * force * amount, y: Math.sin(angle) * force * amount });
+                break;
+            case 'attract':
+            case 'repel': {
+                const dx = this.x - body.position.x;
+                const dy = this.y - body.position.y;
+                const d = Math.hypot(dx, dy);
+                if (d < 1) break;
+                const sign = this.type === 'attract' ? 1 : -1;
+                Matter.Body.applyForce(body, body.position, { x: sign * dx / d * force * amount, y: sign * dy / d * force * amount });
+                break;
+            }
+            case 'drag': {
+                const keep = 1 - Math.min(1, amount) * MAX_DRAG;
+                Matter.Body.setVelocity(body, { x: body.velocity.x * keep, y: body.velocity.y * keep });
+                break;
+            }
+            case 'gravity': {
+                // Cancel the world's gravity and apply the zone's own, blended by the falloff
+                const gx = Math.cos(angle) * this.strength - gravity.x;
+                const gy = Math.sin(angle) * this.strength - gravity.y;
+                Matter.Body.applyForce(body, body.position, { x: gx * force * influence, y: gy * force * influence });
+                break;
+            }
+        }
+        return true;
+    }
+
+    isNearResizeHandle(px, py) {
+        const hx = this.x + this.w / 2;
+        const hy = this.shape === 'circle' ? this.y : this.y + this.h / 2;
+        return Math.hypot(px - hx, py - hy) < 14;
+    }
+
+    // Resize from the handle (bottom-right corner, or the right edge of a circle)
+    resizeTo(px, py) {
+        this.w = Math.max(20, Math.abs(px - this.x) * 2);
+        if (this.shape === 'rect') this.h = Math.max(20, Math.abs(py - this.y) * 2);
+    }
+
+    draw(p) {
+        const [r, g, b] = ZONE_TYPES[this.type].color;
+        p.push();
+        p.translate(this.x, this.y);
+
+        // Translucent overlay, fading out when the zone has falloff
+        const ctx = p.drawingContext;
+        const radius = this.shape === 'circle' ? this.w / 2 : Math.max(this.w, this.h) / 2;
+        const fill = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        fill.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.18)`);
+        fill.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${0.18 * (1 - this.falloff) + 0.03})`);
+        ctx.fillStyle = fill;
+        p.stroke(r, g, b, this.isFocused ? 220 : 90);
+        p.strokeWeight(this.isFocused ? 2 : 1);
+        ctx.setLineDash([10, 6]);
+        if (this.shape === 'circle') {
+            ctx.beginPath();
+            ctx.arc(0, 0, this.w / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.fillRect(-this.w / 2, -this.h / 2, this.w, this.h);
+            ctx.strokeRect(-this.w / 2, -this.h / 2, this.w, this.h);
+        }
+        ctx.setLineDash([]);
+
+        // Direction marks
+        p.stroke(r, g, b, 160);
+        p.strokeWeight(2);
+        p.noFill();
+        const size = Math.min(this.w, this.shape === 'circle' ? this.w : this.h) * 0.2;
+        p.push();
+        if (this.type === 'wind' || this.type === 'gravity') {
+            p.rotate(this.direction * Math.PI / 180);
+            p.line(-size, 0, size, 0);
+            p.line(size, 0, size - 8, -6);
+            p.line(size, 0, size - 8, 6);
+        } else if (this.type === 'attract' || this.type === 'repel') {
+            const inward = this.type === 'attract';
+            for (let i = 0; i < 4; i++) {
+                p.push();
+                p.rotate(i * Math.PI / 2 + Math.PI / 4);
+                const tip = inward ? size * 0.4 : size;
+                const back = inward ? size : size * 0.4;
+                p.line(back, 0, tip, 0);
+                const dir = inward ? 1 : -1;
+                p.line(tip, 0, tip + dir * 6, -5);
+                p.line(tip, 0, tip + dir * 6, 5);
+                p.pop();
+            }
+        } else {
+            p.circle(0, 0, size);
+            p.circle(0, 0, size * 0.5);
+        }
+        p.pop();
+
+        // Label and resize handle when selected
+        p.noStroke();
+        p.fill(r, g, b, 200);
+        p.textSize(10);
+        p.textAlign(p.CENTER);
+        const top = this.shape === 'circle' ? -this.w / 2 : -this.h / 2;
+        p.text(ZONE_TYPES[this.type].label.toUpperCase(), 0, top - 8);
+        if (this.isFocused) {
+            p.fill(0, 255, 100);
+            p.rectMode(p.CENTER);
+            p.rect(this.w / 2, this.shape === 'circle' ? 0 : this.h / 2, 12, 12, 2);
+        }
+        p.pop();
+    }
+}
+
+// Zones of a project file
+export function readZones(data) {
+    return Array.isArray(data.zones) ? data.zones.map(z => new Zone(z)) : [];
+}
@@ -1,17 +1,35 @@
-import { Ball } from './Ball.js';
-import { Wall } from './Wall.js';
+import { Wall, MATERIAL_PRESETS, normalizePortal, normalizeTrigger, normalizeNoteMode, normalizeArpRate } from './Wall.js';
+import { DEFAULT_MOTIONS, DEFAULT_SPIN } from './Motion.js';
+import { Zone, readZones } from './Zone.js';
+import { MasterBus, DEFAULT_AUDIO_SETTINGS } from './Synth.js';
+import { BUILTIN_PRESETS, normalizePreset, bytesToBase64, base64ToBytes } from './Instruments.js';
+import { encodeWav } from './WavEncoder.js';
+import { writeMidiFile, readMidiFile } from './Midi.js';
+import { noteNameToMidi, midiToNoteName, midiToFrequency, frequencyToMidi, foldIntoRange, noteFrequency, resolveNoteMidi, DEFAULT_TUNING, DEFAULT_AUTO_PITCH, LOWEST_NOTE, HIGHEST_NOTE } from './Notes.js';
+import { configureEngine, PHYSICS_STEP_MS } from './physics.js';
+import { watchCollisions, stepScene, serializeBar, createBar as buildBar, linkBars, readSpawners, spawnerIsFull, spawnerBall, normalizeSpawnerBall, DEFAULT_DYNAMICS, MAX_RUN_SECONDS } from './Simulation.js';
+import { SOLVE_TOLERANCE } from './Solver.js';
+import { HitTimeline } from './Timeline.js';
+import { SeededRandom, DEFAULT_SEED, RANDOM_STREAMS, randomSeed, normalizeSeed } from './Random.js';
+import { DEFAULT_TEMPO, normalizeTempo, secondsToBeats, quantizeBeat, spawnerBeat, spawnerDelay, spawnSchedule, retimeSchedule } from './Tempo.js';
 
 let engine, world;
 let balls = [];
 let staticBallPlaceholders = []; // Visual placeholders that become balls when hit
 let bars = [];
+let zones = []; // Force fields, see Zone.js
 let audioCtx;
+let masterBus = null;
+let audioSettings = { ...DEFAULT_AUDIO_SETTINGS }; // Master volume, reverb send and voice cap
 let focusedBar = null;
 let selectedBars = [];
 let focusedStaticBall = null;
+let focusedZone = null;
 let dragMode = null; // 'move' or 'rotate', 'spawner'
-let spawners = [{ x: -150, y: 100, r: 18, dragging: false, delay: 0 }];
+let spawners = [{ x: -150, y: 100, r: 18, dragging: false, delay: 0, ball: normalizeSpawnerBall() }];
+let launchDrag = null; // Spawner whose launch arrow is being dragged
 let dragOffset = { x: 0, y: 0 };
+let motionDrag = null; // Motion path handle being dragged, see Wall.motionHandles()
 let copiedBars = []; // Array to store copied bars with relative positions
 let particles = [];
 let defaultBarWidth = 160;
@@ -19,35 +37,35 @@ let defaultBarShape = 'rect';
 let defaultBarNote = 'Auto';
 let defaultBarInstrument = 'sine';
 let isTemplateReadOnly = false; // Track if current template is read-only
+let noteCapture = null; // Set while a run is simulated offline for audio export
+let hitLog = []; // Note events of the current run, used for MIDI export
+let hitLogStart = null; // Physics step the current run started at
+let timeline = null; // Piano-roll panel of hitLog
 
 // History / Undo System
 let undoStack = [];
 let redoStack = [];
 const MAX_HISTORY = 50;
 
-window.saveHistory = function() {
-    const state = {
+// Rebuild a bar from a serialized record, optionally at another position
+function createBar(b, x = b.x, y = b.y) {
+    return buildBar(Matter, world, b, x, y);
+}
+
+function captureState() {
+    return {
         gravity: engine ? engine.gravity.y : 1,
         bounce: parseFloat(document.getElementById('bounce-slider')?.value || 0.8),
         instrument: defaultBarInstrument,
         spawners: spawners.map(s => ({ ...s, dragging: false })),
         staticBalls: staticBallPlaceholders.map(s => ({ ...s, isFocused: false })),
-        bars: bars.map(b => ({
-            x: b.body.position.x,
-            y: b.body.position.y,
-            w: b.w,
-            h: b.h,
-            angle: b.body.angle,
-            note: b.note,
-            shape: b.shape,
-            instrument: b.instrument,
-            curvatureTop: b.curvatureTop || 0,
-            curvatureBottom: b.curvatureBottom || 0,
-            maxHits: b.maxHits || 0
-        }))
+        bars: bars.map(b => serializeBar(b, bars)),
+        zones: zones.map(z => z.serialize())
     };
-    
-    const serialized = JSON.stringify(state);
+}
+
+window.saveHistory = function() {
+    const serialized = JSON.stringify(captureState());
     // Don't save identical state (multi-stage interactions)
     if (undoStack.length > 0 && undoStack[undoStack.length - 1] === serialized) return;
     
@@ -84,12 +102,13 @@ function applyHistoryState(state) {
     
     // Rebuild
     state.bars.forEach(b => {
-        const wall = new Wall(world, Matter, b.x, b.y, b.w, b.h, b.angle, b.note, b.shape, b.instrument, b.curvatureTop, b.curvatureBottom);
-        wall.maxHits = b.maxHits || 0;
-        bars.push(wall);
+        bars.push(createBar(b));
     });
+    linkBars(bars, state.bars);
     
     staticBallPlaceholders = state.staticBalls.map(s => ({ ...s }));
+    zones = readZones(state);
+    focusedZone = null;
     spawners = state.spawners.map(s => ({ ...s }));
     
     if (engine) engine.gravity.y = state.gravity;
@@ -120,16 +139,49 @@ const shapeLibrary = [
     { name: "Wave Bridge", w: 157.27273265996178, h: 10, shape: 'rect', curvatureTop: 0.8, curvatureBottom: 0 },
     { name: "Bowl", w: 242, h: 77, shape: 'rect', curvatureTop: -0.1, curvatureBottom: 0 },
     { name: "Seesaw", w: 180, h: 15, shape: 'seesaw', curvatureTop: 0, curvatureBottom: 0 },
+    { name: "Spinner", w: 140, h: 16, shape: 'rect', curvatureTop: 0, curvatureBottom: 0, spin: { ...DEFAULT_SPIN } },
     { name: "Circle", w: 50, h: 50, shape: 'circle', curvatureTop: 0, curvatureBottom: 0 },
     { name: "Triangle", w: 60, h: 60, shape: 'triangle', curvatureTop: 0, curvatureBottom: 0 },
+    { name: "Portal Pair", w: 80, h: 16, shape: 'portal', curvatureTop: 0, curvatureBottom: 0 },
+    { name: "Sensor", w: 120, h: 40, shape: 'sensor', curvatureTop: 0, curvatureBottom: 0 },
+    { name: "Force Zone", w: 240, h: 160, shape: 'zone', curvatureTop: 0, curvatureBottom: 0 },
     { name: "Static Ball", w: 32, h: 32, shape: 'static_ball', curvatureTop: 0, curvatureBottom: 0 }
 ];
 
-const noteFrequencies = {
-    'C3': 130.81, 'D3': 146.83, 'E3': 164.81, 'F3': 174.61, 'G3': 196.00, 'A3': 220.00, 'B3': 246.94,
-    'C4': 261.63, 'D4': 293.66, 'E4': 329.63, 'F4': 349.23, 'G4': 392.00, 'A4': 440.00, 'B4': 493.88,
-    'C5': 523.25, 'D5': 587.33, 'E5': 659.25, 'F5': 698.46, 'G5': 783.99, 'A5': 880.00, 'Bb4': 466.16, 'B5': 987.77,
-    'C6': 1046.50
+let tuning = DEFAULT_TUNING; // A4 reference in Hz, saved per project
+let projectSeed = DEFAULT_SEED; // Seed of every random choice, saved per project
+const layoutRandom = new SeededRandom(projectSeed, RANDOM_STREAMS.layout);
+const runRandom = new SeededRandom(projectSeed, RANDOM_STREAMS.run);
+const effectsRandom = new SeededRandom(projectSeed, RANDOM_STREAMS.effects);
+const flickerRandom = new SeededRandom(projectSeed, RANDOM_STREAMS.flicker);
+const FLICKER_DRAWS = 32; // Numbers one ball's trail flicker can use per step
+let autoPitch = { ...DEFAULT_AUTO_PITCH }; // Key, scale and pitch range for 'Auto' bars
+
+let dynamics = { ...DEFAULT_DYNAMICS }; // Impact dynamics: harder hits play louder and brighter notes
+let panMode = 'off'; // 'off', 'camera' (X on screen) or 'bounds' (X across all bars)
+let customInstruments = {}; // Project synth presets by name, override built-ins of the same name
+let tempo = { ...DEFAULT_TEMPO }; // BPM, time signature, swing and spawner delay unit
+let sequence = null; // Running sequence: { start (physics step), audioStart (audio time of start, moved on by stalls), queue, nextBeat, tempo (may change mid-run) }
+const METRONOME_LOOKAHEAD = 0.1; // Seconds of metronome clicks scheduled ahead
+const SEQUENCE_LEAD = 0.05; // Seconds between starting a run and its first spawn
+let physicsSteps = 0; // Fixed physics steps run since the page loaded
+let physicsAccumulator = 0; // Frame time not yet simulated, in ms
+const MAX_STEPS_PER_FRAME = 8; // Beyond this the run slows down instead of catching up
+const sampleBuffers = new Map(); // Instrument name -> decoded AudioBuffer of sample presets
+let sampleDecoder = null; // Context used to decode samples before audio is unlocked
+
+// Live view of the editor's course for the shared simulation rules
+const scene = {
+    get balls() { return balls; },
+    get bars() { return bars; },
+    get zones() { return zones; },
+    get placeholders() { return staticBallPlaceholders; },
+    get spawners() { return spawners; },
+    get world() { return world; },
+    get bounce() { return parseFloat(document.getElementById('bounce-slider').value); },
+    get dynamics() { return dynamics; },
+    get time() { return runTime(); },
+    random: runRandom
 };
 
 // Camera & Zoom
@@ -149,11 +201,11 @@ class Particle {
     constructor(x, y, color) {
         this.x = x;
         this.y = y;
-        this.vx = (Math.random() - 0.5) * 6;
-        this.vy = (Math.random() - 0.5) * 6;
+        this.vx = effectsRandom.range(-3, 3);
+        this.vy = effectsRandom.range(-3, 3);
         this.alpha = 255;
         this.color = color;
-        this.size = Math.random() * 4 + 2;
+        this.size = effectsRandom.range(2, 6);
     }
 
     draw(p) {
@@ -183,148 +235,43 @@ window.setup = function() {
     
     engine = Engine.create();
     world = engine.world;
-    engine.gravity.y = 1;
-    
-    // Balanced iterations for performance and stability
-    engine.positionIterations = 10; 
-    engine.velocityIterations = 8; 
-    engine.constraintIterations = 2; 
-    
-    // Collision detection settings
-    engine.enableSleeping = true; // Enable sleeping to save CPU on idle objects
-    world.bounds = { min: { x: -5000, y: -5000 }, max: { x: 5000, y: 5000 } };
+    configureEngine(engine, 1);
 
     // Audio setup
-    canvas.mousePressed(() => {
-        if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    });
+    canvas.mousePressed(ensureAudio);
+
+    const timelineCanvas = document.getElementById('timeline-canvas');
+    if (timelineCanvas) timeline = new HitTimeline(timelineCanvas, e => window.selectBarFromTimeline(e.barIndex));
 
     // Initial state: Start with 1 spawner at center
-    spawners = [{ x: 400, y: 100, r: 18, dragging: false, delay: 0 }];
+    spawners = [{ x: 400, y: 100, r: 18, dragging: false, delay: 0, ball: normalizeSpawnerBall() }];
     targetCamX = 400;
     targetCamY = 300;
 
-    // Collision detection
-    Events.on(engine, 'collisionStart', (event) => {
-        event.pairs.forEach(pair => {
-            // Get parent bodies (for compound bodies)
-            const bodyA = pair.bodyA.parent || pair.bodyA;
-            const bodyB = pair.bodyB.parent || pair.bodyB;
-            
-            // Check for ball objects
-            const ballObjA = balls.find(b => b.body === bodyA);
-            const ballObjB = balls.find(b => b.body === bodyB);
-            
-            // Check for ball-to-ball collision first
-            if (ballObjA && ballObjB) {
-                return; // Ignore ball-to-ball collisions
-            }
-            
-            // Check for ball collision with static ball placeholder (only if one ball, not two)
-            if (ballObjA || ballObjB) {
-                const activeBall = ballObjA || ballObjB;
-                const contact = pair.collision.supports[0] || bodyA.position;
-                
-                // Check if ball hit any placeholder
-                for (let i = staticBallPlaceholders.length - 1; i >= 0; i--) {
-                    const placeholder = staticBallPlaceholders[i];
-                    const dx = contact.x - placeholder.x;
-                    const dy = contact.y - placeholder.y;
-                    const dist = Math.sqrt(dx*dx + dy*dy);
-                    
-                    if (dist < placeholder.radius + activeBall.radius) {
-                        // Activate placeholder - create real ball
-                        const newBall = new Ball(
-                            world,
-                            Matter,
-                            placeholder.x,
-                            placeholder.y,
-                            placeholder.radius,
-                            parseFloat(document.getElementById('bounce-slider').value),
-                            activeBall.color, // Inherit color from hitting ball
-                            false // Not static anymore
-                        );
-                        balls.push(newBall);
-                        
-                        // Remove placeholder
-                        staticBallPlaceholders.splice(i, 1);
-                        if (focusedStaticBall === placeholder) {
-                            focusedStaticBall = null;
-                        }
-                        
-                        // Particles
-                        for (let j = 0; j < 12; j++) {
-                            particles.push(new Particle(placeholder.x, placeholder.y, '#00f2fe'));
-                        }
-                        break;
-                    }
-                }
+    // Collision detection: the rules live in Simulation.js, the editor adds sound and effects
+    watchCollisions(Matter, engine, scene, {
+        onActivate: placeholder => {
+            if (focusedStaticBall === placeholder) focusedStaticBall = null;
+            for (let j = 0; j < 12; j++) {
+                particles.push(new Particle(placeholder.x, placeholder.y, '#00f2fe'));
             }
+        },
+        onBarHit: (bar, ball, velocity, notes, point) => {
+            playBar(bar, velocity, notes).forEach(n => logHit(bar, velocity, n.note, n.delay));
             
-            // Check if either body is a bar
-            const barObjA = bars.find(b => b.body === bodyA);
-            const barObjB = bars.find(b => b.body === bodyB);
-            
-            // Ignore collision between two bars (especially seesaw with other bars)
-            if (barObjA && barObjB) {
-                return;
+            // Blast particles at collision point
+            for (let i = 0; i < 12; i++) {
+                particles.push(new Particle(point.x, point.y, bar.settings.color));
             }
-            
-            const barObj = barObjA || barObjB;
-            if (barObj) {
-                // Check if the other object is a ball
-                const ballObj = ballObjA || ballObjB;
-                if (!ballObj) {
-                    return; // Not a ball collision, ignore
-                }
-                
-                // Check if seesaw hit any placeholder
-                const barContact = pair.collision.supports[0] || bodyA.position;
-                for (let i = staticBallPlaceholders.length - 1; i >= 0; i--) {
-                    const placeholder = staticBallPlaceholders[i];
-                    const dx = barContact.x - placeholder.x;
-                    const dy = barContact.y - placeholder.y;
-                    const dist = Math.sqrt(dx*dx + dy*dy);
-                    
-                    if (dist < placeholder.radius + 10) { // Small threshold for bar collision
-                        // Activate placeholder
-                        const newBall = new Ball(
-                            world,
-                            Matter,
-                            placeholder.x,
-                            placeholder.y,
-                            placeholder.radius,
-                            parseFloat(document.getElementById('bounce-slider').value),
-                            barObj.settings.color,
-                            false
-                        );
-                        balls.push(newBall);
-                        
-                        staticBallPlaceholders.splice(i, 1);
-                        if (focusedStaticBall === placeholder) {
-                            focusedStaticBall = null;
-                        }
-                        
-                        for (let j = 0; j < 12; j++) {
-                            particles.push(new Particle(placeholder.x, placeholder.y, '#00f2fe'));
-                        }
-                        break;
-                    }
-                }
-                
-                barObj.onHit();
-                window.playNote(barObj.body.position.y, barObj.note, barObj.instrument);
-                
-                // Ball changes color to bar's color
-                ballObj.color = barObj.settings.color;
-                
-                // Blast particles at collision point
-                const collisionPoint = pair.collision.supports[0] || pair.bodyA.position;
-                for (let i = 0; i < 12; i++) {
-                    particles.push(new Particle(collisionPoint.x, collisionPoint.y, barObj.settings.color));
-                }
+        },
+        onTrigger: event => {
+            if (event.action === 'spawn') {
+                const s = spawners[event.spawner];
+                if (s) window.spawnBall(s.x, s.y, event.spawner);
+            } else if (event.action === 'tempo') {
+                setRunTempo(event.bpm);
             }
-        });
+        }
     });
     
     window.syncTimingUI();
@@ -402,6 +349,44 @@ window.initShapePalette = function() {
             ctx.fill();
             ctx.stroke();
             ctx.setLineDash([]);
+        } else if (shapeData.shape === 'sensor') {
+            // Translucent box
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.fillRect(centerX - 36, centerY - 12, 72, 24);
+            ctx.strokeRect(centerX - 36, centerY - 12, 72, 24);
+            ctx.setLineDash([]);
+        } else if (shapeData.shape === 'zone') {
+            // Dashed field with a wind arrow
+            ctx.setLineDash([4, 3]);
+            ctx.fillStyle = 'rgba(0, 200, 255, 0.12)';
+            ctx.fillRect(centerX - 40, centerY - 22, 80, 44);
+            ctx.strokeRect(centerX - 40, centerY - 22, 80, 44);
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(centerX - 16, centerY);
+            ctx.lineTo(centerX + 16, centerY);
+            ctx.moveTo(centerX + 9, centerY - 6);
+            ctx.lineTo(centerX + 16, centerY);
+            ctx.lineTo(centerX + 9, centerY + 6);
+            ctx.stroke();
+        } else if (shapeData.shape === 'portal') {
+            // Two linked slots
+            ctx.strokeStyle = '#be6eff';
+            ctx.fillStyle = 'rgba(120, 40, 200, 0.35)';
+            [centerX - 28, centerX + 28].forEach(x => {
+                ctx.beginPath();
+                ctx.ellipse(x, centerY, 22, 7, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            });
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(centerX - 6, centerY);
+            ctx.lineTo(centerX + 6, centerY);
+            ctx.stroke();
+            ctx.setLineDash([]);
         } else if (shapeData.shape === 'circle') {
             ctx.beginPath();
             ctx.arc(centerX, centerY, (shapeData.w / 2) * scale, 0, Math.PI * 2);
@@ -533,13 +518,15 @@ window.mousePressed = function(event) {
     const toggleBtn = document.querySelector('.toggle-btn');
     const palette = document.getElementById('shape-palette');
     const timingUI = document.getElementById('timing-ui');
+    const timelinePanel = document.getElementById('timeline-panel');
     
     // Check if target is inside any UI element
     const target = event ? event.target : null;
     const isOverUI = ui && target && ui.contains(target);
     const isOverToggle = toggleBtn && target && toggleBtn.contains(target);
     const isOverPalette = palette && target && palette.contains(target);
-    const isOverTiming = timingUI && target && timingUI.contains(target);
+    // Both timing panels: the spawn queue and the hit timeline
+    const isOverTiming = target && ((timingUI && timingUI.contains(target)) || (timelinePanel && timelinePanel.contains(target)));
     
     // If balls are active, don't allow selecting or dragging bars
     
@@ -554,6 +541,16 @@ window.mousePressed = function(event) {
 
     // Check Spawners first - ALLOW in readonly mode for spawning balls
     if (!isOverUI && !isOverToggle && !isOverPalette && !isOverTiming) {
+        if (!isTemplateReadOnly) {
+            launchDrag = spawners.find(s => {
+                const tip = launchHandle(s);
+                return dist(worldMouseX, worldMouseY, tip.x, tip.y) < 10;
+            }) || null;
+            if (launchDrag) {
+                dragMode = 'launch';
+                return;
+            }
+        }
         for (let s of spawners) {
             let d = dist(worldMouseX, worldMouseY, s.x, s.y);
             if (d < s.r + 15) {
@@ -591,11 +588,30 @@ window.mousePressed = function(event) {
 
     let hitSomething = false;
     const isCtrlDown = keyIsDown(CONTROL);
+
+    // Force fields: resize the selected one, or let go of it (they are picked last, below)
+    if (focusedZone) {
+        if (focusedZone.isNearResizeHandle(worldMouseX, worldMouseY)) {
+            dragMode = 'zoneResize';
+            return;
+        }
+        focusedZone.isFocused = false;
+        focusedZone = null;
+    }
     
     // Check handles first if exactly one bar is focused
     if (focusedBar && selectedBars.length === 1) {
         const resizeType = focusedBar.isNearResizeHandle(worldMouseX, worldMouseY);
-        if (resizeType) {
+        const motionHandle = focusedBar.motionHandleAt(worldMouseX, worldMouseY);
+        if (motionHandle) {
+            dragMode = 'motion';
+            motionDrag = motionHandle;
+            if (motionHandle.kind === 'key') {
+                focusedBar.selectedKey = motionHandle.index;
+                window.syncControls();
+            }
+            hitSomething = true;
+        } else if (resizeType) {
             dragMode = resizeType === 'width' ? 'resizeWidth' : 'resizeHeight';
             hitSomething = true;
         } else if (focusedBar.isNearRotateHandle(worldMouseX, worldMouseY)) {
@@ -676,6 +692,25 @@ window.mousePressed = function(event) {
         }
     }
 
+    // Force fields sit behind everything else
+    if (!hitSomething) {
+        const zone = [...zones].reverse().find(z => z.contains(worldMouseX, worldMouseY));
+        if (zone) {
+            bars.forEach(b => b.isFocused = false);
+            selectedBars = [];
+            focusedBar = null;
+            if (focusedStaticBall) focusedStaticBall.isFocused = false;
+            focusedStaticBall = null;
+
+            focusedZone = zone;
+            zone.isFocused = true;
+            dragMode = 'move';
+            dragOffset.x = worldMouseX - zone.x;
+            dragOffset.y = worldMouseY - zone.y;
+            hitSomething = true;
+        }
+    }
+
     if (!hitSomething && !isOverUI && !isOverToggle && !isOverPalette && !isOverTiming) {
         // Clear all selections when clicking empty space (but not if Ctrl is held)
         if (!isCtrlDown) {
@@ -700,6 +735,8 @@ window.syncControls = function() {
     const count = selectedBars.length;
     const isMulti = count > 1;
     
+    syncZoneControls();
+
     // 1. Panel chi tiết (Curvature, Note, Instrument...)
     const selectionPanel = document.getElementById('selection-controls');
     if (selectionPanel) {
@@ -715,7 +752,7 @@ window.syncControls = function() {
             const cbInput = document.getElementById('curvature-bottom');
             const mhInput = document.getElementById('bar-max-hits');
             
-            if (nInput) nInput.value = primary.note;
+            window.syncNotePicker(primary.note);
             if (sInput) {
                 // Determine if this is a known preset based on its properties
                 if (primary.shape === 'rect') {
@@ -734,10 +771,36 @@ window.syncControls = function() {
             if (ctInput) ctInput.value = primary.curvatureTop;
             if (cbInput) cbInput.value = primary.curvatureBottom;
             if (mhInput) mhInput.value = primary.maxHits || 0;
+            const notesInput = document.getElementById('bar-notes');
+            const modeSelect = document.getElementById('bar-note-mode');
+            const rateInput = document.getElementById('bar-arp-rate');
+            if (notesInput) notesInput.value = primary.notes.join(' ');
+            if (modeSelect) modeSelect.value = primary.noteMode;
+            if (rateInput) {
+                rateInput.value = primary.arpRate;
+                rateInput.disabled = !['up', 'down', 'random'].includes(primary.noteMode) || isTemplateReadOnly;
+            }
+            const panInput = document.getElementById('bar-pan');
+            const panAuto = document.getElementById('bar-pan-auto');
+            if (panInput) {
+                panInput.value = primary.pan ?? 0;
+                panInput.disabled = primary.pan === null || isTemplateReadOnly;
+            }
+            if (panAuto) panAuto.checked = primary.pan === null;
+            syncMotionControls(primary);
+            syncSpinControls(primary);
+            syncPortalControls(primary);
+            syncSensorControls(primary);
+            syncGateControls(primary);
             
             // Hiện các control bị ẩn khi multi-select
             const controlsToToggle = [
                 nInput, iInput, ctInput, cbInput, mhInput, 
+                document.getElementById('bar-pan'),
+                document.getElementById('bar-motion-type'),
+                document.getElementById('bar-spin'),
+                document.getElementById('gate-mode'),
+                document.getElementById('bar-notes'),
                 document.getElementById('btn-copy-shape')
             ];
             controlsToToggle.forEach(el => {
@@ -748,9 +811,12 @@ window.syncControls = function() {
             });
         }
         
+        // Material edits apply to the whole selection, so it stays visible
+        if (primary) syncMaterialControls(primary);
+        
         // Ẩn các control chi tiết nếu đang chọn nhiều (multi-select)
         if (isMulti) {
-            const selectors = ['#bar-note', '#bar-instrument', '#curvature-top', '#curvature-bottom', '#bar-max-hits', '#btn-copy-shape'];
+            const selectors = ['#bar-note', '#bar-instrument', '#curvature-top', '#curvature-bottom', '#bar-max-hits', '#bar-pan', '#bar-motion-type', '#bar-spin', '#bar-portal-cooldown', '#sensor-action', '#gate-mode', '#bar-notes', '#btn-copy-shape'];
             selectors.forEach(sel => {
                 const el = document.querySelector(sel);
                 if (el) {
@@ -831,8 +897,8 @@ window.doubleClicked = function() {
 
     for (let bar of bars) {
         if (bar.contains(worldMouseX, worldMouseY)) {
-            bar.onHit();
-            window.playNote(bar.body.position.y, bar.note, bar.instrument);
+            bar.onHit(runRandom.next);
+            playBar(bar);
             break;
         }
     }
@@ -840,7 +906,7 @@ window.doubleClicked = function() {
 
 window.mouseWheel = function(event) {
     // Check if mouse is over any UI element that should handle its own scrolling
-    const uiElements = ['ui', 'shape-palette', 'timing-ui', 'template-modal', 'export-modal', 'confirm-modal'];
+    const uiElements = ['ui', 'shape-palette', 'timing-ui', 'timeline-panel', 'template-modal', 'export-modal', 'confirm-modal', 'midi-modal', 'instrument-modal'];
     let isOverUI = false;
     
     // Check by target first
@@ -908,7 +974,9 @@ window.mouseReleased = function(event) {
 
         if (!isOverUI && !mouseIsOverUI) {
             // Check if it's a static ball
-            if (paletteShapeData.shape === 'static_ball') {
+            if (paletteShapeData.shape === 'zone') {
+                zones.push(new Zone({ x: worldMouseX, y: worldMouseY, w: paletteShapeData.w, h: paletteShapeData.h }));
+            } else if (paletteShapeData.shape === 'static_ball') {
                 // Create static ball placeholder (not a physics object yet)
                 staticBallPlaceholders.push({
                     x: worldMouseX,
@@ -934,8 +1002,16 @@ window.mouseReleased = function(event) {
                 if (paletteShapeData.curvatureTop !== 0 || paletteShapeData.curvatureBottom !== 0) {
                     newBar.setCurvature(paletteShapeData.curvatureTop, paletteShapeData.curvatureBottom);
                 }
+                if (paletteShapeData.spin) newBar.setSpin(paletteShapeData.spin);
                 
                 bars.push(newBar);
+
+                // Portals come in pairs: the exit goes a little to the right
+                if (paletteShapeData.shape === 'portal') {
+                    const exit = new Wall(world, Matter, worldMouseX + 250, worldMouseY, paletteShapeData.w, paletteShapeData.h, 0, defaultBarNote, 'portal', defaultBarInstrument);
+                    newBar.linkTo(exit);
+                    bars.push(exit);
+                }
             }
             
             window.saveHistory(); // Save after dropping from palette
@@ -947,6 +1023,14 @@ window.mouseReleased = function(event) {
         return;
     }
 
+    if (dragMode === 'launch') {
+        launchDrag = null;
+        dragMode = null;
+        window.syncTimingUI();
+        window.saveHistory();
+        return;
+    }
+
     for (let s of spawners) {
         if (s.dragging) {
             const moveDist = dist(worldMouseX, worldMouseY, spawnerPressPos.x, spawnerPressPos.y);
@@ -992,14 +1076,20 @@ window.mouseReleased = function(event) {
                     balls = balls.filter(b => b !== focusedStaticBall);
                 }
                 focusedStaticBall = null;
+            } else if (focusedZone) {
+                zones = zones.filter(z => z !== focusedZone);
+                focusedZone = null;
+                window.syncControls();
             } else if (focusedBar) {
                 focusedBar.destroy();
                 bars = bars.filter(b => b !== focusedBar);
+                forgetBars([focusedBar]);
                 focusedBar = null;
                 window.syncControls();
             } else if (selectedBars.length > 0) {
                 selectedBars.forEach(b => b.destroy());
                 bars = bars.filter(b => !selectedBars.includes(b));
+                forgetBars(selectedBars);
                 selectedBars = [];
                 focusedBar = null;
                 window.syncControls();
@@ -1025,6 +1115,11 @@ window.mouseDragged = function() {
         return;
     }
 
+    if (dragMode === 'launch' && launchDrag) {
+        aimLaunch(launchDrag, worldMouseX, worldMouseY);
+        return;
+    }
+
     for (let s of spawners) {
         if (s.dragging) {
             s.x = worldMouseX;
@@ -1033,7 +1128,12 @@ window.mouseDragged = function() {
         }
     }
 
-    if (!focusedBar && !focusedStaticBall) {
+    if (focusedZone && dragMode === 'zoneResize') {
+        focusedZone.resizeTo(worldMouseX, worldMouseY);
+        return;
+    }
+
+    if (!focusedBar && !focusedStaticBall && !focusedZone) {
         // Pan camera if nothing selected
         let anySpawnerDragging = spawners.some(s => s.dragging);
         if (dragMode === null && !anySpawnerDragging) {
@@ -1051,9 +1151,14 @@ window.mouseDragged = function() {
             // Move static ball placeholder (just update x,y)
             focusedStaticBall.x = worldMouseX - dragOffset.x;
             focusedStaticBall.y = worldMouseY - dragOffset.y;
+        } else if (focusedZone) {
+            focusedZone.x = worldMouseX - dragOffset.x;
+            focusedZone.y = worldMouseY - dragOffset.y;
         } else if (focusedBar) {
             focusedBar.setPosition(worldMouseX - dragOffset.x, worldMouseY - dragOffset.y);
         }
+    } else if (dragMode === 'motion') {
+        focusedBar.moveMotionHandle(motionDrag, worldMouseX, worldMouseY);
     } else if (dragMode === 'rotate') {
         const angle = Math.atan2(worldMouseY - focusedBar.body.position.y, worldMouseX - focusedBar.body.position.x);
         focusedBar.setAngle(angle + PI/2); // Offset for the top handle
@@ -1150,10 +1255,19 @@ window.updateBarShape = function(v) {
     window.saveHistory();
 };
 
+// Drop sensor targets and gate sources pointing at deleted bars
+function forgetBars(removed) {
+    bars.forEach(b => {
+        if (removed.includes(b.triggerTarget)) b.triggerTarget = null;
+        if (removed.includes(b.gateSource)) b.gateSource = null;
+    });
+}
+
 window.deleteFocusedBar = function() {
     if (focusedBar) {
         focusedBar.destroy();
         bars = bars.filter(b => b !== focusedBar);
+        forgetBars([focusedBar]);
         focusedBar = null;
         window.syncControls();
     }
@@ -1169,6 +1283,11 @@ window.clearFocus = function() {
         focusedStaticBall.isFocused = false;
         focusedStaticBall = null;
     }
+    if (focusedZone) {
+        focusedZone.isFocused = false;
+        focusedZone = null;
+        window.syncControls();
+    }
 };
 
 window.updateBarInstrument = function(v) {
@@ -1178,182 +1297,727 @@ window.updateBarInstrument = function(v) {
     }
 };
 
-window.updateBarMaxHits = function(v) {
+window.updateBarNote = function(v) {
     if (focusedBar) {
-        focusedBar.maxHits = parseInt(v) || 0;
+        focusedBar.note = v;
         window.saveHistory();
     }
 };
 
-window.updateAllBarsInstrument = function(v) {
-    defaultBarInstrument = v;
-    bars.forEach(b => b.instrument = v);
+// Compose the note from the letter / accidental / octave selects
+window.updateBarNoteFromPicker = function() {
+    const letter = document.getElementById('bar-note').value;
+    const accidental = document.getElementById('bar-note-accidental').value;
+    const octave = document.getElementById('bar-note-octave').value;
+
+    let note = letter === 'Auto' ? 'Auto' : `${letter}${accidental}${octave}`;
+    const midi = noteNameToMidi(note);
+    if (midi !== null && midi < LOWEST_NOTE) note = 'C1';
+    if (midi !== null && midi > HIGHEST_NOTE) note = 'C8';
+
+    window.updateBarNote(note);
+    window.syncNotePicker(note);
 };
 
-window.draw = function() {
-    background(8, 8, 12);
+window.syncNotePicker = function(note) {
+    const letterSelect = document.getElementById('bar-note');
+    const accidentalSelect = document.getElementById('bar-note-accidental');
+    const octaveSelect = document.getElementById('bar-note-octave');
+    if (!letterSelect) return;
 
-    // Smooth Camera & Zoom Lerp
-    zoom = lerp(zoom, targetZoom, 0.1);
-    
-    if (isFollowingBall && balls.length > 0) {
-        // Follow the first ball
-        const leadBall = balls[0];
-        targetCamX = leadBall.body.position.x;
-        targetCamY = leadBall.body.position.y;
+    // Plain MIDI numbers are shown by name; flats keep their spelling
+    const midi = noteNameToMidi(note);
+    const name = midi !== null && /^\d+$/.test(String(note).trim()) ? midiToNoteName(midi) : String(note);
+    const match = midi !== null ? /^([A-Ga-g])(#|b)?[#b]*(-?\d+)$/.exec(name.trim()) : null;
+
+    letterSelect.value = match ? match[1].toUpperCase() : 'Auto';
+    if (accidentalSelect) {
+        accidentalSelect.value = match && match[2] ? match[2] : '';
+        accidentalSelect.disabled = !match || isTemplateReadOnly;
     }
-    
-    camX = lerp(camX, targetCamX, 0.1);
-    camY = lerp(camY, targetCamY, 0.1);
+    if (octaveSelect) {
+        if (match) octaveSelect.value = Math.max(1, Math.min(8, parseInt(match[3], 10)));
+        octaveSelect.disabled = !match || isTemplateReadOnly;
+    }
+};
 
-    push();
-    // Center of screen
-    translate(width/2, height/2);
-    scale(zoom);
-    translate(-camX, -camY);
-    
-    // Viewport Culling logic
-    const margin = 600 / zoom; // Margin for "early loading" of shapes
-    const viewW = width / zoom;
-    const viewH = height / zoom;
-    const vMinX = camX - viewW/2 - margin;
-    const vMaxX = camX + viewW/2 + margin;
-    const vMinY = camY - viewH/2 - margin;
-    const vMaxY = camY + viewH/2 + margin;
+window.updateTuning = function(v) {
+    const value = parseFloat(v);
+    tuning = isFinite(value) && value > 0 ? value : DEFAULT_TUNING;
+    const input = document.getElementById('tuning-input');
+    if (input) input.value = tuning;
+};
 
-    // Performance hint: reduce effects when zoomed out far
-    const lodQuality = zoom < 0.4 ? 'low' : (zoom < 0.8 ? 'medium' : 'high');
-    window.lodQuality = lodQuality; // Pass to other components
-    
-    // Draw Animated Grid (Extended for large world) - Optimized to only draw visible lines
-    stroke(255, 255, 255, 12);
-    strokeWeight(1 / zoom);
-    
-    // Draw only visible grid lines
-    const startX = Math.floor(vMinX / 100) * 100;
-    const endX = Math.ceil(vMaxX / 100) * 100;
-    const startY = Math.floor(vMinY / 100) * 100;
-    const endY = Math.ceil(vMaxY / 100) * 100;
-    
-    for (let x = startX; x <= endX; x += 100) line(x, vMinY, x, vMaxY);
-    for (let y = startY; y <= endY; y += 100) line(vMinX, y, vMaxX, y);
+window.updateSeed = function(v) {
+    projectSeed = normalizeSeed(v);
+    [layoutRandom, runRandom, effectsRandom, flickerRandom].forEach(r => r.setSeed(projectSeed));
+    const input = document.getElementById('seed-input');
+    if (input) input.value = projectSeed;
+};
 
-    // Alignment Guide (Vertical Dashed Line)
-    if (dragMode && (focusedBar || focusedStaticBall)) {
-        const targetX = focusedStaticBall ? focusedStaticBall.x : focusedBar.body.position.x;
-        
-        // Define "balanced" as being horizontal (angle near zero)
-        const isBalanced = focusedBar && Math.abs(focusedBar.body.angle % PI) < 0.01;
-        const guideColor = isBalanced ? '#4ade80' : '#00f2fe';
-        const guideAlpha = isBalanced ? 180 : 80;
-        
-        drawingContext.save();
-        drawingContext.setLineDash([15, 10]);
-        stroke(isBalanced ? color(74, 222, 128, guideAlpha) : color(0, 242, 254, guideAlpha));
-        strokeWeight(1.5 / zoom);
-        
-        // Add a subtle glow
-        drawingContext.shadowBlur = 15 / zoom;
-        drawingContext.shadowColor = guideColor;
-        
-        line(targetX, vMinY, targetX, vMaxY);
-        drawingContext.restore();
-    }
+window.rerollSeed = function() {
+    window.updateSeed(randomSeed());
+};
 
-    // Physics Update - Use deltaTime to be frame-rate independent
-    // and prevent over-taxing the CPU on high-refresh monitors
-    const physicsDelta = Math.min(deltaTime, 32); // Cap at ~30fps equivalent to prevent jumping
-    Engine.update(engine, physicsDelta);
+// Every run starts its random sequences over, so it plays out the same each time
+function restartRunRandom() {
+    runRandom.reset();
+    effectsRandom.reset();
+}
 
-    // Keyboard Movement for Selected Bars
-    if (document.activeElement.tagName !== 'INPUT' && (selectedBars.length > 0 || focusedStaticBall)) {
-        let dx = 0;
-        let dy = 0;
-        const moveSpeed = keyIsDown(SHIFT) ? 5 : 1;
-        
-        if (keyIsDown(LEFT_ARROW)) dx -= moveSpeed;
-        if (keyIsDown(RIGHT_ARROW)) dx += moveSpeed;
-        if (keyIsDown(UP_ARROW)) dy -= moveSpeed;
-        if (keyIsDown(DOWN_ARROW)) dy += moveSpeed;
-        
-        if (dx !== 0 || dy !== 0) {
-            selectedBars.forEach(bar => {
-                const pos = bar.body.position;
-                bar.setPosition(pos.x + dx, pos.y + dy);
-            });
-            if (focusedStaticBall) {
-                focusedStaticBall.x += dx;
-                focusedStaticBall.y += dy;
-            }
+window.updateAutoPitch = function(field, v) {
+    if (field === 'low' || field === 'high') {
+        const midi = noteNameToMidi(v);
+        if (midi === null || midi < LOWEST_NOTE || midi > HIGHEST_NOTE) {
+            alert("Please enter a note between C1 and C8 (e.g. C3, F#4, Bb5).");
+            window.syncAutoPitchUI();
+            return;
         }
+        v = String(v).trim();
     }
-
-    // Particles Bloom - Capped for performance
-    if (particles.length > 100) particles.splice(0, particles.length - 100);
-    
-    for (let i = particles.length - 1; i >= 0; i--) {
-        const p = particles[i];
-        // Viewport check for particles
-        if (p.x > vMinX && p.x < vMaxX && p.y > vMinY && p.y < vMaxY) {
-            p.draw(window);
-        } else {
-            p.updateOnly();
+    if (field === 'top' || field === 'bottom') {
+        const span = { ...autoPitch, [field]: parseFloat(v) };
+        if (!isFinite(span[field]) || span.bottom <= span.top) {
+            alert("The bottom of the span must be below (greater than) the top.");
+            window.syncAutoPitchUI();
+            return;
         }
-        if (p.alpha <= 0) particles.splice(i, 1);
+        v = span[field];
     }
+    autoPitch[field] = v;
+};
 
-    // Draw all Spawners
-    spawners.forEach((s, index) => {
-        // Viewport check
-        if (s.x < vMinX - 100 || s.x > vMaxX + 100 || s.y < vMinY - 100 || s.y > vMaxY + 100) {
-            return;
-        }
+// Stretch the span over the course, so its top bar plays the high note and its lowest bar the low one
+window.fitAutoPitchSpan = function() {
+    const ys = bars.map(b => b.restPose().y);
+    if (ys.length < 2 || Math.max(...ys) <= Math.min(...ys)) {
+        alert("Place at least two bars at different heights first.");
+        return;
+    }
+    autoPitch.top = Math.round(Math.min(...ys));
+    autoPitch.bottom = Math.round(Math.max(...ys));
+    window.syncAutoPitchUI();
+};
 
-        const activeCount = balls.filter(b => b.spawnerIndex === index && !b.wasStatic).length;
-        const isMaxed = activeCount >= 3;
-        
-        push();
-        translate(s.x, s.y);
-        
-        if (!isMaxed && lodQuality !== 'low') {
-            drawingContext.shadowBlur = (30 / zoom) * (lodQuality === 'medium' ? 0.5 : 1.0);
-            drawingContext.shadowColor = '#00f2fe';
-            stroke(0, 242, 254, 100);
-            fill(0, 242, 254);
-        } else {
-            drawingContext.shadowBlur = 0;
-            stroke(100, 100, 100, 100);
-            fill(80);
-        }
-        
-        noFill();
-        strokeWeight(2 / zoom);
-        push();
-        rotate(frameCount * (isMaxed ? 0.01 : 0.04));
-        for(let i=0; i<4; i++) {
-            rotate(PI/2);
-            arc(0, 0, s.r * 3.5, s.r * 3.5, 0, PI/4);
-        }
-        pop();
-        
-        noStroke();
-        if (!isMaxed) {
-            fill(0, 242, 254);
-            const pulse = 1 + sin(frameCount * 0.1 * (index + 1)) * 0.1;
-            circle(0, 0, s.r * 1.8 * pulse);
-            fill(255, 200);
-        } else {
-            fill(60);
-            circle(0, 0, s.r * 1.8);
-            fill(120, 200);
-        }
-        circle(0, 0, s.r);
-        pop();
-    });
+window.updateDynamics = function(field, v) {
+    const value = parseFloat(v);
+    if (isFinite(value)) dynamics[field] = value;
+};
 
-    bars.forEach((bar, index) => {
-        bar.index = index; // Set index for display
-        
+window.syncDynamicsUI = function() {
+    const curveInput = document.getElementById('velocity-curve-slider');
+    if (curveInput) curveInput.value = dynamics.curve;
+    const thresholdInput = document.getElementById('velocity-threshold-slider');
+    if (thresholdInput) thresholdInput.value = dynamics.threshold;
+};
+
+window.syncAutoPitchUI = function() {
+    const ids = { key: 'scale-key', scale: 'scale-type', low: 'pitch-low', high: 'pitch-high', top: 'pitch-top', bottom: 'pitch-bottom' };
+    Object.entries(ids).forEach(([field, id]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = autoPitch[field];
+    });
+};
+
+window.updateBarNotes = function(v) {
+    if (!focusedBar) return;
+    const notes = v.split(/[\s,]+/).filter(n => n !== '');
+    const invalid = notes.find(n => noteNameToMidi(n) === null);
+    if (invalid) {
+        alert(`'${invalid}' is not a note. Use names like C4, F#3 or Bb5.`);
+        window.syncControls();
+        return;
+    }
+    focusedBar.notes = notes;
+    focusedBar.roundRobinIndex = 0;
+    window.saveHistory();
+};
+
+window.updateBarNoteMode = function(v) {
+    if (!focusedBar) return;
+    focusedBar.noteMode = normalizeNoteMode(v);
+    focusedBar.roundRobinIndex = 0;
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateBarArpRate = function(v) {
+    if (!focusedBar) return;
+    focusedBar.arpRate = normalizeArpRate(parseFloat(v));
+    window.saveHistory();
+};
+
+window.updateBarPan = function(v) {
+    if (focusedBar) focusedBar.pan = parseFloat(v);
+};
+
+window.updateBarPanAuto = function(auto) {
+    if (!focusedBar) return;
+    focusedBar.pan = auto ? null : parseFloat(document.getElementById('bar-pan').value);
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updatePanMode = function(v) {
+    panMode = ['camera', 'bounds'].includes(v) ? v : 'off';
+    const select = document.getElementById('pan-mode-select');
+    if (select) select.value = panMode;
+};
+
+function syncMaterialControls(bar) {
+    const select = document.getElementById('bar-material');
+    if (select) select.value = bar.material ? bar.material.preset : 'standard';
+    // Standard bars show the values their body uses
+    const values = bar.material || { ...bar.surface(), boost: 1 };
+    ['restitution', 'friction', 'boost'].forEach(field => {
+        const input = document.getElementById(`bar-${field}`);
+        if (input) {
+            input.value = values[field];
+            input.disabled = isTemplateReadOnly;
+        }
+    });
+}
+
+// Materials apply to every selected bar
+function materialTargets() {
+    return selectedBars.length > 0 ? selectedBars : (focusedBar ? [focusedBar] : []);
+}
+
+window.updateBarMaterial = function(v) {
+    const targets = materialTargets();
+    if (targets.length === 0) return;
+    const primary = focusedBar || targets[0];
+    targets.forEach(bar => {
+        if (v === 'standard') bar.setMaterial(null);
+        else if (MATERIAL_PRESETS[v]) bar.setMaterial({ preset: v, ...MATERIAL_PRESETS[v] });
+        else bar.setMaterial({ ...(primary.material || {}), preset: 'custom' }); // Custom starts from the current values
+    });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateBarMaterialValue = function(field, v) {
+    const targets = materialTargets();
+    if (targets.length === 0) return;
+    targets.forEach(bar => bar.setMaterial({ ...(bar.material || {}), preset: 'custom', [field]: parseFloat(v) }));
+    window.saveHistory();
+    window.syncControls();
+};
+
+function syncMotionControls(bar) {
+    const motion = bar.motion;
+    const type = motion ? motion.type : 'none';
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.value = value;
+            el.disabled = isTemplateReadOnly || bar.shape === 'seesaw';
+        }
+    };
+
+    setValue('bar-motion-type', type);
+    show('bar-motion-options', motion !== null);
+    show('bar-motion-period', type === 'oscillate' || type === 'orbit');
+    show('bar-motion-direction', type === 'orbit');
+    show('bar-motion-loop', type === 'path');
+    show('bar-motion-keys', type === 'path');
+    show('bar-motion-tip', motion !== null);
+    if (!motion) return;
+
+    if (motion.period !== undefined) setValue('bar-motion-period', motion.period);
+    if (motion.direction !== undefined) setValue('bar-motion-direction', motion.direction);
+    if (motion.loop !== undefined) setValue('bar-motion-loop', motion.loop);
+    if (motion.keys) {
+        const key = motion.keys[bar.selectedKey] || motion.keys[0];
+        setValue('bar-key-time', key.t);
+        setValue('bar-key-angle', key.angle);
+        setValue('bar-key-ease', key.ease);
+    }
+}
+
+window.updateBarMotionType = function(v) {
+    if (!focusedBar) return;
+    focusedBar.setMotion(v === 'none' ? null : JSON.parse(JSON.stringify(DEFAULT_MOTIONS[v])));
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateBarMotion = function(field, v) {
+    if (!focusedBar || !focusedBar.motion) return;
+    const value = field === 'loop' ? v : parseFloat(v);
+    focusedBar.setMotion({ ...focusedBar.motion, [field]: value });
+    window.saveHistory();
+    window.syncControls();
+};
+
+// Edits the keyframe selected on the canvas (or the first one)
+window.updateMotionKey = function(field, v) {
+    if (!focusedBar || !focusedBar.motion || !focusedBar.motion.keys) return;
+    const keys = focusedBar.motion.keys.map(k => ({ ...k }));
+    const key = keys[focusedBar.selectedKey];
+    key[field] = field === 'ease' ? v : parseFloat(v);
+    focusedBar.setMotion({ ...focusedBar.motion, keys });
+    focusedBar.selectedKey = Math.max(0, focusedBar.motion.keys.findIndex(k => k.t === key.t)); // Keys re-sort by time
+    window.saveHistory();
+    window.syncControls();
+};
+
+// New keyframe one second after the last, a little further along
+window.addMotionKey = function() {
+    if (!focusedBar || !focusedBar.motion || !focusedBar.motion.keys) return;
+    const keys = focusedBar.motion.keys;
+    const last = keys[keys.length - 1];
+    focusedBar.setMotion({ ...focusedBar.motion, keys: [...keys, { ...last, t: last.t + 1, dx: last.dx + 80 }] });
+    focusedBar.selectedKey = focusedBar.motion.keys.length - 1;
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.removeMotionKey = function() {
+    if (!focusedBar || !focusedBar.motion || !focusedBar.motion.keys) return;
+    const keys = focusedBar.motion.keys;
+    if (keys.length <= 1) {
+        alert('A path needs at least one key. Switch the motion to Fixed to remove it.');
+        return;
+    }
+    focusedBar.setMotion({ ...focusedBar.motion, keys: keys.filter((k, i) => i !== focusedBar.selectedKey) });
+    window.saveHistory();
+    window.syncControls();
+};
+
+function syncSpinControls(bar) {
+    const locked = isTemplateReadOnly || bar.shape === 'seesaw'; // Seesaws swing freely instead
+    const select = document.getElementById('bar-spin');
+    const options = document.getElementById('bar-spin-options');
+    const speed = document.getElementById('bar-spin-speed');
+    const onHit = document.getElementById('bar-spin-on-hit');
+    if (select) {
+        select.value = bar.spin ? String(bar.spin.direction) : 'off';
+        select.disabled = locked;
+    }
+    if (options) options.style.display = bar.spin ? 'flex' : 'none';
+    if (!bar.spin) return;
+    if (speed) {
+        speed.value = bar.spin.speed;
+        speed.disabled = locked;
+    }
+    if (onHit) {
+        onHit.checked = bar.spin.trigger === 'hit';
+        onHit.disabled = locked;
+    }
+}
+
+function syncZoneControls() {
+    const panel = document.getElementById('zone-controls');
+    if (panel) panel.style.display = focusedZone ? 'block' : 'none';
+    if (!focusedZone) return;
+    const values = {
+        'zone-type': focusedZone.type,
+        'zone-shape': focusedZone.shape,
+        'zone-strength': focusedZone.strength,
+        'zone-falloff': focusedZone.falloff,
+        'zone-direction': focusedZone.direction
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    });
+    const strengthLabel = document.getElementById('zone-strength-value');
+    const directionLabel = document.getElementById('zone-direction-value');
+    const directionControl = document.getElementById('zone-direction-control');
+    if (strengthLabel) strengthLabel.textContent = focusedZone.strength;
+    if (directionLabel) directionLabel.textContent = focusedZone.direction;
+    // Only wind and local gravity have a direction
+    if (directionControl) directionControl.style.display = ['wind', 'gravity'].includes(focusedZone.type) ? 'block' : 'none';
+}
+
+// Sliders save on release; the selects save right away
+window.updateZone = function(field, v) {
+    if (!focusedZone) return;
+    const data = { ...focusedZone.serialize(), [field]: ['type', 'shape'].includes(field) ? v : parseFloat(v) };
+    Object.assign(focusedZone, new Zone(data), { isFocused: true });
+    if (field === 'type' || field === 'shape') window.saveHistory();
+    syncZoneControls();
+};
+
+function syncSensorControls(bar) {
+    const control = document.getElementById('bar-sensor-control');
+    if (control) control.style.display = bar.trigger ? 'block' : 'none';
+    if (!bar.trigger) return;
+    const { action } = bar.trigger;
+    const fields = {
+        'sensor-action': { value: action, visible: true },
+        'sensor-spawner': { value: bar.trigger.spawner + 1, visible: action === 'spawn' },
+        'sensor-target': { value: bar.triggerTarget ? bars.indexOf(bar.triggerTarget) + 1 : '', visible: action === 'toggle' },
+        'sensor-bpm': { value: bar.trigger.bpm, visible: action === 'tempo' }
+    };
+    Object.entries(fields).forEach(([id, { value, visible }]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.value = value;
+        el.style.display = visible ? '' : 'none';
+        el.disabled = isTemplateReadOnly;
+    });
+    const hidden = document.getElementById('sensor-hidden');
+    if (hidden) {
+        hidden.checked = bar.trigger.hidden;
+        hidden.disabled = isTemplateReadOnly;
+    }
+    const hints = {
+        note: 'PLAYS THE NOTE ABOVE AS A BALL PASSES',
+        spawn: 'SPAWNER #',
+        toggle: 'BAR # TO HIDE / SHOW',
+        tempo: 'BPM FOR THE REST OF THE RUN'
+    };
+    const hint = document.getElementById('sensor-hint');
+    if (hint) hint.textContent = hints[action];
+}
+
+window.updateSensor = function(field, v) {
+    if (!focusedBar || !focusedBar.trigger) return;
+    focusedBar.trigger = normalizeTrigger({ ...focusedBar.trigger, [field]: v });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateSensorTarget = function(v) {
+    if (!focusedBar || !focusedBar.trigger) return;
+    const target = bars[parseInt(v) - 1];
+    if (v !== '' && (!target || target === focusedBar)) {
+        alert(`There is no other bar #${v}.`);
+    } else {
+        focusedBar.triggerTarget = target || null;
+        window.saveHistory();
+    }
+    window.syncControls();
+};
+
+function syncGateControls(bar) {
+    const mode = document.getElementById('gate-mode');
+    const options = document.getElementById('gate-options');
+    if (mode) {
+        mode.value = bar.gate ? bar.gate.action : 'off';
+        mode.disabled = isTemplateReadOnly;
+    }
+    if (options) options.style.display = bar.gate ? 'block' : 'none';
+    if (!bar.gate) return;
+    const values = {
+        'gate-source': bar.gateSource ? bars.indexOf(bar.gateSource) + 1 : '',
+        'gate-count': bar.gate.count
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.value = value;
+        el.disabled = isTemplateReadOnly;
+    });
+    const checks = { 'gate-once': bar.gate.once, 'gate-start-open': bar.gate.open };
+    Object.entries(checks).forEach(([id, checked]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.checked = checked;
+        el.disabled = isTemplateReadOnly;
+    });
+}
+
+// 'off' turns the bar back into a plain bar
+window.updateGateMode = function(v) {
+    if (!focusedBar) return;
+    focusedBar.setGate(v === 'off' ? null : { ...focusedBar.gate, action: v });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateGate = function(field, v) {
+    if (!focusedBar || !focusedBar.gate) return;
+    focusedBar.setGate({ ...focusedBar.gate, [field]: v });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateGateSource = function(v) {
+    if (!focusedBar || !focusedBar.gate) return;
+    const source = bars[parseInt(v) - 1];
+    if (v !== '' && (!source || source === focusedBar)) {
+        alert(`There is no other bar #${v}.`);
+    } else {
+        focusedBar.gateSource = source || null;
+        window.saveHistory();
+    }
+    window.syncControls();
+};
+
+function syncPortalControls(bar) {
+    const control = document.getElementById('bar-portal-control');
+    if (control) control.style.display = bar.portal ? 'block' : 'none';
+    if (!bar.portal) return;
+    const cooldown = document.getElementById('bar-portal-cooldown');
+    const note = document.getElementById('bar-portal-note');
+    const link = document.getElementById('bar-portal-link');
+    const status = document.getElementById('bar-portal-status');
+    if (cooldown) {
+        cooldown.value = bar.portal.cooldown;
+        cooldown.disabled = isTemplateReadOnly;
+    }
+    if (link) {
+        link.value = bar.linkedPortal ? bars.indexOf(bar.linkedPortal) + 1 : '';
+        link.disabled = isTemplateReadOnly;
+    }
+    if (note) {
+        note.checked = bar.portal.playNote;
+        note.disabled = isTemplateReadOnly;
+    }
+    if (status) status.textContent = bar.linkedPortal ? 'COOLDOWN (S) \u2022 LINKED PORTAL #' : 'COOLDOWN (S) \u2022 NOT LINKED: ENTER A PORTAL #';
+}
+
+// Portal settings are shared by both ends of a pair
+window.updateBarPortal = function(field, v) {
+    if (!focusedBar || !focusedBar.portal) return;
+    [focusedBar, focusedBar.linkedPortal].forEach(bar => {
+        if (bar) bar.portal = normalizePortal({ ...bar.portal, [field]: v });
+    });
+    window.saveHistory();
+    window.syncControls();
+};
+
+// Pairs the portal with another one; the other portal's old partner is left unlinked
+window.updateBarPortalLink = function(v) {
+    if (!focusedBar || !focusedBar.portal) return;
+    const target = bars[parseInt(v) - 1];
+    if (v === '') {
+        focusedBar.unlink();
+        window.saveHistory();
+    } else if (!target || target === focusedBar || !target.portal) {
+        alert(`Bar #${v} is not another portal.`);
+    } else {
+        focusedBar.linkTo(target);
+        target.portal = { ...focusedBar.portal }; // Both ends share their settings
+        window.saveHistory();
+    }
+    window.syncControls();
+};
+
+window.updateBarSpin = function(v) {
+    if (!focusedBar) return;
+    focusedBar.setSpin(v === 'off' ? null : { ...DEFAULT_SPIN, ...(focusedBar.spin || {}), direction: parseInt(v) });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateBarSpinValue = function(field, v) {
+    if (!focusedBar || !focusedBar.spin) return;
+    focusedBar.setSpin({ ...focusedBar.spin, [field]: v });
+    window.saveHistory();
+    window.syncControls();
+};
+
+window.updateBarMaxHits = function(v) {
+    if (focusedBar) {
+        focusedBar.maxHits = parseInt(v) || 0;
+        window.saveHistory();
+    }
+};
+
+window.updateAllBarsInstrument = function(v) {
+    defaultBarInstrument = v;
+    bars.forEach(b => b.instrument = v);
+};
+
+window.draw = function() {
+    background(8, 8, 12);
+
+    // Smooth Camera & Zoom Lerp
+    zoom = lerp(zoom, targetZoom, 0.1);
+    
+    if (isFollowingBall && balls.length > 0) {
+        // Follow the first ball
+        const leadBall = balls[0];
+        targetCamX = leadBall.body.position.x;
+        targetCamY = leadBall.body.position.y;
+    }
+    
+    camX = lerp(camX, targetCamX, 0.1);
+    camY = lerp(camY, targetCamY, 0.1);
+
+    push();
+    // Center of screen
+    translate(width/2, height/2);
+    scale(zoom);
+    translate(-camX, -camY);
+    
+    // Viewport Culling logic
+    const margin = 600 / zoom; // Margin for "early loading" of shapes
+    const viewW = width / zoom;
+    const viewH = height / zoom;
+    const vMinX = camX - viewW/2 - margin;
+    const vMaxX = camX + viewW/2 + margin;
+    const vMinY = camY - viewH/2 - margin;
+    const vMaxY = camY + viewH/2 + margin;
+
+    // Performance hint: reduce effects when zoomed out far
+    const lodQuality = zoom < 0.4 ? 'low' : (zoom < 0.8 ? 'medium' : 'high');
+    window.lodQuality = lodQuality; // Pass to other components
+    
+    // Draw Animated Grid (Extended for large world) - Optimized to only draw visible lines
+    stroke(255, 255, 255, 12);
+    strokeWeight(1 / zoom);
+    
+    // Draw only visible grid lines
+    const startX = Math.floor(vMinX / 100) * 100;
+    const endX = Math.ceil(vMaxX / 100) * 100;
+    const startY = Math.floor(vMinY / 100) * 100;
+    const endY = Math.ceil(vMaxY / 100) * 100;
+    
+    for (let x = startX; x <= endX; x += 100) line(x, vMinY, x, vMaxY);
+    for (let y = startY; y <= endY; y += 100) line(vMinX, y, vMaxX, y);
+
+    // Alignment Guide (Vertical Dashed Line)
+    if (dragMode && (focusedBar || focusedStaticBall)) {
+        const targetX = focusedStaticBall ? focusedStaticBall.x : focusedBar.body.position.x;
+        
+        // Define "balanced" as being horizontal (angle near zero)
+        const isBalanced = focusedBar && Math.abs(focusedBar.body.angle % PI) < 0.01;
+        const guideColor = isBalanced ? '#4ade80' : '#00f2fe';
+        const guideAlpha = isBalanced ? 180 : 80;
+        
+        drawingContext.save();
+        drawingContext.setLineDash([15, 10]);
+        stroke(isBalanced ? color(74, 222, 128, guideAlpha) : color(0, 242, 254, guideAlpha));
+        strokeWeight(1.5 / zoom);
+        
+        // Add a subtle glow
+        drawingContext.shadowBlur = 15 / zoom;
+        drawingContext.shadowColor = guideColor;
+        
+        line(targetX, vMinY, targetX, vMaxY);
+        drawingContext.restore();
+    }
+
+    // Fixed-step physics, decoupled from the frame rate: a slow frame runs
+    // several steps, a fast one may run none
+    physicsAccumulator += deltaTime;
+    let stepsThisFrame = 0;
+    while (physicsAccumulator >= PHYSICS_STEP_MS && stepsThisFrame < MAX_STEPS_PER_FRAME) {
+        physicsStep();
+        physicsAccumulator -= PHYSICS_STEP_MS;
+        stepsThisFrame++;
+    }
+    // Don't spiral after a stall. The dropped time is never simulated, so the
+    // metronome skips it too and its clicks stay on the spawns
+    const droppedMs = physicsAccumulator - PHYSICS_STEP_MS;
+    if (droppedMs > 0) {
+        physicsAccumulator = PHYSICS_STEP_MS;
+        if (sequence) sequence.audioStart += droppedMs / 1000;
+    }
+    updateMetronome();
+    renderTimeline();
+
+    // Keyboard Movement for Selected Bars
+    if (document.activeElement.tagName !== 'INPUT' && (selectedBars.length > 0 || focusedStaticBall || focusedZone)) {
+        let dx = 0;
+        let dy = 0;
+        const moveSpeed = keyIsDown(SHIFT) ? 5 : 1;
+        
+        if (keyIsDown(LEFT_ARROW)) dx -= moveSpeed;
+        if (keyIsDown(RIGHT_ARROW)) dx += moveSpeed;
+        if (keyIsDown(UP_ARROW)) dy -= moveSpeed;
+        if (keyIsDown(DOWN_ARROW)) dy += moveSpeed;
+        
+        if (dx !== 0 || dy !== 0) {
+            selectedBars.forEach(bar => {
+                const pos = bar.body.position;
+                bar.setPosition(pos.x + dx, pos.y + dy);
+            });
+            if (focusedStaticBall) {
+                focusedStaticBall.x += dx;
+                focusedStaticBall.y += dy;
+            }
+            if (focusedZone) {
+                focusedZone.x += dx;
+                focusedZone.y += dy;
+            }
+        }
+    }
+
+    // Particles Bloom - Capped for performance
+    if (particles.length > 100) particles.splice(0, particles.length - 100);
+    
+    for (let i = particles.length - 1; i >= 0; i--) {
+        const p = particles[i];
+        // Viewport check for particles
+        if (p.x > vMinX && p.x < vMaxX && p.y > vMinY && p.y < vMaxY) {
+            p.draw(window);
+        } else {
+            p.updateOnly();
+        }
+        if (p.alpha <= 0) particles.splice(i, 1);
+    }
+
+    // Draw all Spawners
+    spawners.forEach((s, index) => {
+        // Viewport check
+        if (s.x < vMinX - 100 || s.x > vMaxX + 100 || s.y < vMinY - 100 || s.y > vMaxY + 100) {
+            return;
+        }
+
+        const activeCount = balls.filter(b => b.spawnerIndex === index && !b.wasStatic).length;
+        const isMaxed = activeCount >= 3;
+        
+        push();
+        translate(s.x, s.y);
+        
+        if (!isMaxed && lodQuality !== 'low') {
+            drawingContext.shadowBlur = (30 / zoom) * (lodQuality === 'medium' ? 0.5 : 1.0);
+            drawingContext.shadowColor = '#00f2fe';
+            stroke(0, 242, 254, 100);
+            fill(0, 242, 254);
+        } else {
+            drawingContext.shadowBlur = 0;
+            stroke(100, 100, 100, 100);
+            fill(80);
+        }
+        
+        noFill();
+        strokeWeight(2 / zoom);
+        push();
+        rotate(frameCount * (isMaxed ? 0.01 : 0.04));
+        for(let i=0; i<4; i++) {
+            rotate(PI/2);
+            arc(0, 0, s.r * 3.5, s.r * 3.5, 0, PI/4);
+        }
+        pop();
+        
+        noStroke();
+        if (!isMaxed) {
+            fill(0, 242, 254);
+            const pulse = 1 + sin(frameCount * 0.1 * (index + 1)) * 0.1;
+            circle(0, 0, s.r * 1.8 * pulse);
+            fill(255, 200);
+        } else {
+            fill(60);
+            circle(0, 0, s.r * 1.8);
+            fill(120, 200);
+        }
+        circle(0, 0, s.r);
+        pop();
+        drawLaunchArrow(s);
+    });
+
+    // Force fields under everything else
+    zones.forEach(zone => {
+        const half = Math.max(zone.w, zone.h) / 2;
+        if (zone.x > vMinX - half && zone.x < vMaxX + half && zone.y > vMinY - half && zone.y < vMaxY + half) {
+            zone.draw(window);
+        }
+    });
+
+    bars.forEach((bar, index) => {
+        bar.index = index; // Set index for display
+        
         // Viewport check
         const pos = bar.body.position;
         const halfSize = Math.max(bar.w, bar.h);
@@ -1393,6 +2057,7 @@ window.draw = function() {
         }
     });
     
+    const flickerStep = runSteps() ?? physicsSteps;
     for (let i = balls.length - 1; i >= 0; i--) {
         const ball = balls[i];
         const pos = ball.body.position;
@@ -1400,12 +2065,9 @@ window.draw = function() {
         // Viewport check for balls
         if (pos.x > vMinX - 100 && pos.x < vMaxX + 100 &&
             pos.y > vMinY - 100 && pos.y < vMaxY + 100) {
-            ball.draw(window);
-        }
-        
-        if (ball.isOffScreen(camY + (height/2)/zoom + 400)) { // Off screen relative to camera
-            balls[i].destroy();
-            balls.splice(i, 1);
+            // Flicker comes from the run step and the ball, not from how often frames are drawn
+            flickerRandom.seek((flickerStep * balls.length + i) * FLICKER_DRAWS);
+            ball.draw(window, flickerRandom.next);
         }
     }
     pop();
@@ -1509,30 +2171,25 @@ window.toggleFollow = function() {
 
 window.spawnBall = function(x, y, spawnerIndex = null) {
     // Check if spawner already has 3 active balls
-    if (spawnerIndex !== null) {
-        const activeBallsFromSpawner = balls.filter(b => 
-            b.spawnerIndex === spawnerIndex && !b.wasStatic
-        ).length;
-        
-        if (activeBallsFromSpawner >= 3) {
-            return; // Don't spawn more than 3 balls per spawner
-        }
-    }
+    if (spawnerIsFull(balls, spawnerIndex)) return;
     
     const res = parseFloat(document.getElementById('bounce-slider').value);
     
     // Deselect any focused bar when spawning
     window.clearFocus();
+    if (hitLogStart === null) startHitLog();
     
     let spawnX = x !== undefined ? x : (spawners.length > 0 ? spawners[0].x : width/2);
     let spawnY = y !== undefined ? y : (spawners.length > 0 ? spawners[0].y : height/2);
     
-    // Standard starting color (white)
-    const ball = new Ball(world, Matter, spawnX, spawnY, 14, res, '#ffffff', false, spawnerIndex);
+    // The spawner's own ball settings; loose balls get the defaults
+    const spawner = spawners[spawnerIndex];
+    const settings = spawner ? spawner.ball : normalizeSpawnerBall();
+    const ball = spawnerBall(Matter, world, spawnX, spawnY, settings, res, spawnerIndex);
     balls.push(ball);
     
     for (let i = 0; i < 8; i++) {
-        particles.push(new Particle(spawnX, spawnY, '#ffffff'));
+        particles.push(new Particle(spawnX, spawnY, settings.color));
     }
 };
 
@@ -1562,7 +2219,7 @@ window.addBar = function() {
         }
     }
 
-    const bar = new Wall(world, Matter, spawnX, spawnY, defaultBarWidth, 22, random(-0.2, 0.2), defaultBarNote, defaultBarShape, defaultBarInstrument);
+    const bar = new Wall(world, Matter, spawnX, spawnY, defaultBarWidth, 22, layoutRandom.range(-0.2, 0.2), defaultBarNote, defaultBarShape, defaultBarInstrument);
     bars.push(bar);
     window.saveHistory();
     
@@ -1581,6 +2238,30 @@ window.updateBounce = function(v) {
     balls.forEach(b => b.body.restitution = val);
 };
 
+window.updateMasterVolume = function(v) {
+    audioSettings.volume = parseFloat(v);
+    if (masterBus) masterBus.setVolume(audioSettings.volume);
+};
+
+window.updateReverb = function(v) {
+    audioSettings.reverb = parseFloat(v);
+    if (masterBus) masterBus.setReverb(audioSettings.reverb);
+};
+
+window.updateMaxVoices = function(v) {
+    audioSettings.maxVoices = parseInt(v, 10) || DEFAULT_AUDIO_SETTINGS.maxVoices;
+    if (masterBus) masterBus.setMaxVoices(audioSettings.maxVoices);
+};
+
+window.syncAudioUI = function() {
+    const volumeInput = document.getElementById('volume-slider');
+    if (volumeInput) volumeInput.value = audioSettings.volume;
+    const reverbInput = document.getElementById('reverb-slider');
+    if (reverbInput) reverbInput.value = audioSettings.reverb;
+    const voicesSelect = document.getElementById('max-voices-select');
+    if (voicesSelect) voicesSelect.value = audioSettings.maxVoices;
+};
+
 // Auto-balance: when one slider reaches max, set the other to mid (0.5)
 window.autoBalance = function(slider, value) {
     const numValue = parseFloat(value);
@@ -1607,212 +2288,223 @@ window.clearBalls = function() {
     balls = [];
     particles = [];
     bars.forEach(bar => bar.reset());
+    hitLogStart = null; // Next spawn starts a new log; the last one stays exportable
+    sequence = null;
+    restartRunRandom();
     // Note: Spawners are NOT reset anymore to preserve user arrangements
     window.syncTimingUI();
 };
 
+const LAUNCH_ARROW_SCALE = 6; // Arrow pixels per unit of launch speed
+
+// Tip of a spawner's launch arrow. With no launch velocity it waits just below the spawner.
+function launchHandle(s) {
+    const { vx, vy } = s.ball;
+    const speed = Math.hypot(vx, vy);
+    const base = s.r * 2.5; // Clear of the spawner's own click area
+    if (speed === 0) return { x: s.x, y: s.y + base };
+    const length = base + speed * LAUNCH_ARROW_SCALE;
+    return { x: s.x + vx / speed * length, y: s.y + vy / speed * length };
+}
+
+// Point the launch arrow at (x, y); dropping the tip back on the spawner clears it
+function aimLaunch(s, x, y) {
+    const dx = x - s.x;
+    const dy = y - s.y;
+    const d = Math.hypot(dx, dy);
+    const speed = Math.max(0, (d - s.r * 2.5) / LAUNCH_ARROW_SCALE);
+    const round = v => Math.round(v * 10) / 10;
+    const vx = speed > 0 ? round(dx / d * speed) : 0;
+    const vy = speed > 0 ? round(dy / d * speed) : 0;
+    s.ball = normalizeSpawnerBall({ ...s.ball, vx, vy });
+}
+
+function drawLaunchArrow(s) {
+    const tip = launchHandle(s);
+    const moving = s.ball.vx !== 0 || s.ball.vy !== 0;
+    if (!moving && isTemplateReadOnly) return;
+    push();
+    const active = launchDrag === s;
+    if (moving) {
+        const angle = Math.atan2(tip.y - s.y, tip.x - s.x);
+        stroke(255, 220, 0, active ? 255 : 170);
+        strokeWeight(2 / zoom);
+        line(s.x + Math.cos(angle) * s.r * 1.75, s.y + Math.sin(angle) * s.r * 1.75, tip.x, tip.y);
+        translate(tip.x, tip.y);
+        rotate(angle);
+        line(0, 0, -10, -6);
+        line(0, 0, -10, 6);
+    } else {
+        translate(tip.x, tip.y);
+    }
+    if (!isTemplateReadOnly) {
+        noStroke();
+        fill(255, 220, 0, active ? 255 : moving ? 120 : 70);
+        circle(0, 0, 10);
+    }
+    pop();
+}
+
+window.updateSpawnerBall = function(index, field, value) {
+    const s = spawners[index];
+    if (!s) return;
+    s.ball = normalizeSpawnerBall({ ...s.ball, [field]: value });
+    window.syncTimingUI();
+    window.saveHistory();
+};
+
 window.updateSpawnerDelay = function(index, value) {
-    if (spawners[index]) spawners[index].delay = parseFloat(value) || 0;
+    if (!spawners[index]) return;
+    spawners[index].delay = parseFloat(value) || 0;
+    delete spawners[index].beat; // Seconds were typed, recompute beats from them
 };
 
-window.playNote = function(y, specificNote, instrument = 'sine') {
-    if (!audioCtx) return;
-    const osc = audioCtx.createOscillator();
-    const gain = audioCtx.createGain();
-    const filter = audioCtx.createBiquadFilter();
+// Stereo position (-1 left .. 1 right) of a bar's notes
+function barPan(bar) {
+    if (typeof bar.pan === 'number') return bar.pan;
+    const x = bar.body.position.x;
     
-    let freq;
-    if (specificNote && noteFrequencies[specificNote]) {
-        freq = noteFrequencies[specificNote];
-    } else {
-        freq = map(y, height, 0, 180, 900);
+    if (panMode === 'camera') {
+        return constrain((x - camX) / (width / 2 / zoom), -1, 1);
     }
+    if (panMode === 'bounds' && bars.length > 1) {
+        let minX = Infinity, maxX = -Infinity;
+        bars.forEach(b => {
+            minX = Math.min(minX, b.body.position.x);
+            maxX = Math.max(maxX, b.body.position.x);
+        });
+        if (maxX - minX > 1) return (x - minX) / (maxX - minX) * 2 - 1;
+    }
+    return 0;
+}
+
+// Play a bar's note, chord or next arpeggio/round-robin step; returns what was played
+function playBar(bar, velocity = 1, notes = bar.nextNotes(runRandom.next)) {
+    const pan = barPan(bar);
+    notes.forEach(n => window.playNote(bar.body.position.y, n.note, bar.instrument, velocity, pan, n.delay));
+    return notes;
+}
+
+window.playNote = function(y, specificNote, instrument = 'sine', velocity = 1, pan = 0, delay = 0) {
+    const freq = resolveFrequency(y, specificNote);
     
-    if (!isFinite(freq)) freq = 440;
+    // Offline capture: record the note against simulation time instead of playing it
+    if (noteCapture) {
+        noteCapture.notes.push({ time: noteCapture.time + delay, freq, instrument, velocity, pan });
+        return;
+    }
     
-    // Orchestral Drum Logic
-    if (instrument === 'drum') {
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(freq / 2, audioCtx.currentTime);
-        osc.frequency.exponentialRampToValueAtTime(30, audioCtx.currentTime + 0.15);
-        
-        // Impact "Punch"
-        const noise = audioCtx.createOscillator();
-        const noiseGain = audioCtx.createGain();
-        noise.type = 'square';
-        noise.frequency.setValueAtTime(80, audioCtx.currentTime);
-        noiseGain.gain.setValueAtTime(0.3, audioCtx.currentTime);
-        noiseGain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.1);
-        noise.connect(noiseGain);
-        noiseGain.connect(audioCtx.destination);
-        noise.start();
-        noise.stop(audioCtx.currentTime + 0.1);
-        
-        gain.gain.setValueAtTime(0.5, audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.4);
-        osc.connect(gain);
-    } else if (instrument === 'bell') {
-        // Wind Chimes / Bell sound - metallic and bright
-        // Main fundamental with FM synthesis for metallic character
-        const modulator = audioCtx.createOscillator();
-        const modGain = audioCtx.createGain();
-        modulator.frequency.setValueAtTime(freq * 3.5, audioCtx.currentTime);
-        modGain.gain.setValueAtTime(freq * 2, audioCtx.currentTime); // Modulation depth
-        modGain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.3);
-        modulator.connect(modGain);
-        modGain.connect(osc.frequency);
-        modulator.start();
-        modulator.stop(audioCtx.currentTime + 0.3);
-        
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(freq, audioCtx.currentTime);
-        
-        // Strong harmonics for bell timbre
-        const harmonics = [
-            { ratio: 2.4, gain: 0.25, decay: 1.0 },
-            { ratio: 3.8, gain: 0.18, decay: 0.8 },
-            { ratio: 5.2, gain: 0.15, decay: 0.6 },
-            { ratio: 6.8, gain: 0.1, decay: 0.5 }
-        ];
-        
-        harmonics.forEach(h => {
-            const harmOsc = audioCtx.createOscillator();
-            const harmGain = audioCtx.createGain();
-            harmOsc.type = 'sine';
-            harmOsc.frequency.setValueAtTime(freq * h.ratio, audioCtx.currentTime);
-            harmGain.gain.setValueAtTime(h.gain, audioCtx.currentTime);
-            harmGain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + h.decay);
-            harmOsc.connect(harmGain);
-            harmGain.connect(audioCtx.destination);
-            harmOsc.start();
-            harmOsc.stop(audioCtx.currentTime + h.decay);
-        });
-        
-        // Bright metallic filter
-        filter.type = 'bandpass';
-        filter.frequency.setValueAtTime(freq * 4, audioCtx.currentTime);
-        filter.Q.value = 3;
-        osc.connect(filter);
-        filter.connect(gain);
-        
-        // Sharp attack, long shimmer decay
-        gain.gain.setValueAtTime(0.35, audioCtx.currentTime);
-        gain.gain.setValueAtTime(0.28, audioCtx.currentTime + 0.01); // Quick drop
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 1.8);
-    } else if (instrument === 'glass') {
-        // Crystal Glass - pure, gentle, clear resonance
-        osc.type = 'sine'; // Pure sine for crystal clarity
-        osc.frequency.setValueAtTime(freq * 2.5, audioCtx.currentTime); // Higher for purity
-        
-        // Gentle, clear harmonics
-        const glassHarmonics = [
-            { ratio: 2.2, gain: 0.28, decay: 1.4 },
-            { ratio: 3.4, gain: 0.22, decay: 1.3 },
-            { ratio: 5.1, gain: 0.18, decay: 1.2 },
-            { ratio: 6.8, gain: 0.14, decay: 1.1 },
-            { ratio: 8.9, gain: 0.10, decay: 1.0 },
-            { ratio: 11.2, gain: 0.06, decay: 0.9 }
-        ];
-        
-        glassHarmonics.forEach(h => {
-            const gOsc = audioCtx.createOscillator();
-            const gGain = audioCtx.createGain();
-            gOsc.type = 'sine';
-            gOsc.frequency.setValueAtTime(freq * h.ratio * 2.5, audioCtx.currentTime);
-            gGain.gain.setValueAtTime(h.gain, audioCtx.currentTime);
-            gGain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + h.decay);
-            gOsc.connect(gGain);
-            gGain.connect(audioCtx.destination);
-            gOsc.start();
-            gOsc.stop(audioCtx.currentTime + h.decay);
-        });
-        
-        // Gentle reverb for spacious clarity
-        const delay1 = audioCtx.createDelay();
-        const delay2 = audioCtx.createDelay();
-        const delay3 = audioCtx.createDelay();
-        const delayGain1 = audioCtx.createGain();
-        const delayGain2 = audioCtx.createGain();
-        const delayGain3 = audioCtx.createGain();
-        
-        // Lowpass filters for each echo to remove noise/harshness
-        const echoFilter1 = audioCtx.createBiquadFilter();
-        const echoFilter2 = audioCtx.createBiquadFilter();
-        const echoFilter3 = audioCtx.createBiquadFilter();
-        echoFilter1.type = 'lowpass';
-        echoFilter2.type = 'lowpass';
-        echoFilter3.type = 'lowpass';
-        echoFilter1.frequency.value = freq * 4; // Keep only pure tones
-        echoFilter2.frequency.value = freq * 3.5;
-        echoFilter3.frequency.value = freq * 3;
-        
-        delay1.delayTime.value = 0.1;
-        delay2.delayTime.value = 0.2;
-        delay3.delayTime.value = 0.3;
-        delayGain1.gain.value = 0.18;
-        delayGain2.gain.value = 0.1;
-        delayGain3.gain.value = 0.05;
-        
-        // Highpass for pure clarity without harshness
-        filter.type = 'highpass';
-        filter.frequency.setValueAtTime(freq * 1.5, audioCtx.currentTime);
-        filter.Q.value = 0.7; // Gentle slope
-        
-        osc.connect(filter);
-        filter.connect(gain);
-        
-        // Echo chains with filters to remove noise
-        filter.connect(delay1);
-        delay1.connect(echoFilter1);
-        echoFilter1.connect(delayGain1);
-        delayGain1.connect(audioCtx.destination);
-        
-        filter.connect(delay2);
-        delay2.connect(echoFilter2);
-        echoFilter2.connect(delayGain2);
-        delayGain2.connect(audioCtx.destination);
-        
-        filter.connect(delay3);
-        delay3.connect(echoFilter3);
-        echoFilter3.connect(delayGain3);
-        delayGain3.connect(audioCtx.destination);
-        
-        // Gentle attack, smooth long decay
-        gain.gain.setValueAtTime(0.32, audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 1.8);
-    } else if (instrument === 'sawtooth') {
-        osc.type = 'sawtooth';
-        osc.frequency.setValueAtTime(freq, audioCtx.currentTime);
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(freq * 3, audioCtx.currentTime);
-        filter.frequency.exponentialRampToValueAtTime(freq * 1.5, audioCtx.currentTime + 0.5);
-        filter.Q.value = 5;
-        osc.connect(filter);
-        filter.connect(gain);
-        gain.gain.setValueAtTime(0.15, audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.6);
-    } else if (instrument === 'square') {
-        osc.type = 'square';
-        osc.frequency.setValueAtTime(freq, audioCtx.currentTime);
-        filter.type = 'lowpass';
-        filter.frequency.value = 2000;
-        osc.connect(filter);
-        filter.connect(gain);
-        gain.gain.setValueAtTime(0.15, audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.6);
-    } else {
-        osc.type = instrument === 'triangle' ? 'triangle' : 'sine';
-        osc.frequency.setValueAtTime(freq, audioCtx.currentTime);
-        gain.gain.setValueAtTime(0.25, audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.6);
-        osc.connect(gain);
+    if (!masterBus) return;
+    masterBus.playVoice(freq, voicePreset(instrument), audioCtx.currentTime + delay, velocity, pan);
+};
+
+function resolveFrequency(y, specificNote) {
+    let freq = midiToFrequency(resolveNoteMidi(y, specificNote, autoPitch), tuning);
+    if (!isFinite(freq)) freq = 440;
+    return freq;
+}
+
+// Audio can only start after a user gesture
+function ensureAudio() {
+    if (!audioCtx) {
+        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        masterBus = new MasterBus(audioCtx, audioSettings);
     }
+}
+
+function getInstrument(name) {
+    return customInstruments[name] || BUILTIN_PRESETS[name] || BUILTIN_PRESETS.sine;
+}
+
+// Preset as handed to the master bus; sample presets get their decoded buffer
+function voicePreset(name) {
+    const preset = getInstrument(name);
+    if (preset.type !== 'sample') return preset;
+    return {
+        ...preset,
+        buffer: sampleBuffers.get(name) || null,
+        rootFrequency: noteFrequency(preset.sample.root, tuning) || noteFrequency('C4', tuning)
+    };
+}
+
+function decodeSample(sample) {
+    if (!sampleDecoder) sampleDecoder = new OfflineAudioContext(1, 1, RENDER_SAMPLE_RATE);
+    return sampleDecoder.decodeAudioData(base64ToBytes(sample.data).buffer);
+}
+
+function loadSampleBuffer(name) {
+    const preset = customInstruments[name];
+    if (!preset || preset.type !== 'sample') return;
+    decodeSample(preset.sample)
+        .then(buffer => {
+            // Ignore results for presets that were replaced meanwhile
+            if (customInstruments[name] === preset) sampleBuffers.set(name, buffer);
+        })
+        .catch(err => console.error(`Failed to decode sample for '${name}':`, err));
+}
+
+// Hit Timeline panel
+function renderTimeline() {
+    const panel = document.getElementById('timeline-panel');
+    if (!timeline || !panel || panel.classList.contains('collapsed')) return;
+    
+    const playhead = hitLogStart !== null && balls.length > 0 ? Math.max(0, stepsToSeconds(physicsSteps - hitLogStart)) : null;
+    const selected = focusedBar ? bars.indexOf(focusedBar) : null;
+    timeline.render(hitLog, playhead, selected);
+}
+
+window.toggleTimeline = function() {
+    const panel = document.getElementById('timeline-panel');
+    if (panel) panel.classList.toggle('collapsed');
+};
+
+window.selectBarFromTimeline = function(barIndex) {
+    const bar = bars[barIndex];
+    if (!bar) return;
+    
+    bars.forEach(b => b.isFocused = false);
+    if (focusedStaticBall) focusedStaticBall.isFocused = false;
+    focusedStaticBall = null;
+    focusedBar = bar;
+    focusedBar.isFocused = true;
+    selectedBars = [bar];
+    window.syncControls();
     
-    gain.connect(audioCtx.destination);
-    osc.start();
-    osc.stop(audioCtx.currentTime + 0.6);
+    // Bring the bar into view
+    isFollowingBall = false;
+    targetCamX = bar.body.position.x;
+    targetCamY = bar.body.position.y;
 };
 
+// Hit Log - every note played by a ball during the current run
+// Hit times count physics steps, so a run logs the same times on every machine
+function startHitLog(startStep = physicsSteps) {
+    if (noteCapture) return;
+    hitLog = [];
+    hitLogStart = startStep;
+    updateTimelineCount();
+}
+
+function updateTimelineCount() {
+    const count = document.getElementById('timeline-count');
+    if (count) count.innerText = hitLog.length;
+}
+
+function logHit(barObj, velocity = 1, note = barObj.note, delay = 0) {
+    if (noteCapture || hitLogStart === null) return;
+    const freq = resolveFrequency(barObj.body.position.y, note);
+    const midi = frequencyToMidi(freq, tuning);
+    hitLog.push({
+        time: stepsToSeconds(physicsSteps - hitLogStart) + delay,
+        note: noteNameToMidi(note) !== null ? note : midiToNoteName(midi),
+        midi,
+        instrument: barObj.instrument || 'sine',
+        velocity,
+        barIndex: bars.indexOf(barObj)
+    });
+    updateTimelineCount();
+}
+
 window.updateInstrument = function(v) {
     defaultBarInstrument = v;
 };
@@ -1832,7 +2524,7 @@ window.addSpawner = function() {
         spawnY = last.y;
     }
     
-    spawners.push({ x: spawnX, y: spawnY, r: 18, dragging: false, delay: 0 });
+    spawners.push({ x: spawnX, y: spawnY, r: 18, dragging: false, delay: 0, ball: normalizeSpawnerBall() });
     targetCamX = spawnX;
     targetCamY = spawnY;
     window.syncTimingUI();
@@ -1878,14 +2570,49 @@ window.syncTimingUI = function() {
         item.style.alignItems = "stretch";
         item.style.gap = "8px";
         
+        const inBeats = tempo.unit === 'beats';
+        const delayInput = inBeats
+            ? `<span style="font-size: 10px; opacity: 0.5;">DELAY (beats):</span>
+                    <input type="number" step="${1 / tempo.grid}" min="0" value="${+spawnerBeat(s, tempo).toFixed(3)}" onchange="window.updateSpawnerBeat(${index}, this.value)" style="width: 60px; background: rgba(0,0,0,0.3); color: white; border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; padding: 4px; font-size: 11px;">`
+            : `<span style="font-size: 10px; opacity: 0.5;">DELAY (s):</span>
+                    <input type="number" step="0.1" min="0" value="${s.delay}" onchange="window.updateSpawnerDelay(${index}, this.value)" style="width: 60px; background: rgba(0,0,0,0.3); color: white; border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; padding: 4px; font-size: 11px;">`;
+        
+        const ball = s.ball;
+        const inputStyle = 'width: 100%; background: rgba(0,0,0,0.3); color: white; border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; padding: 4px; font-size: 11px; box-sizing: border-box;';
+        const disabled = isTemplateReadOnly ? 'disabled' : '';
+        const field = (label, key, attrs) => `
+                <label style="display: flex; flex-direction: column; gap: 2px; flex: 1; margin: 0;">
+                    <span style="font-size: 8px; opacity: 0.5;">${label}</span>
+                    <input type="number" ${attrs} value="${ball[key]}" ${disabled} onchange="window.updateSpawnerBall(${index}, '${key}', parseFloat(this.value))" style="${inputStyle}">
+                </label>`;
+        
         item.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center;">
                 <span style="font-weight: bold; font-size: 12px;">BALL ${index + 1}</span>
                 <div style="display: flex; align-items: center; gap: 5px;">
-                    <span style="font-size: 10px; opacity: 0.5;">DELAY (s):</span>
-                    <input type="number" step="0.1" min="0" value="${s.delay}" onchange="window.updateSpawnerDelay(${index}, this.value)" style="width: 60px; background: rgba(0,0,0,0.3); color: white; border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; padding: 4px; font-size: 11px;">
+                    ${delayInput}
                 </div>
             </div>
+            <div style="display: flex; gap: 6px;">
+                ${field('RADIUS', 'radius', 'min="4" max="60" step="1"')}
+                ${field('DENSITY', 'density', 'min="0.0005" max="0.1" step="0.001"')}
+                ${field('VEL X', 'vx', 'min="-40" max="40" step="0.5"')}
+                ${field('VEL Y', 'vy', 'min="-40" max="40" step="0.5"')}
+            </div>
+            <div style="display: flex; gap: 6px; align-items: flex-end;">
+                <label style="display: flex; flex-direction: column; gap: 2px; margin: 0;">
+                    <span style="font-size: 8px; opacity: 0.5;">COLOR</span>
+                    <input type="color" value="${ball.color}" ${disabled} onchange="window.updateSpawnerBall(${index}, 'color', this.value)" style="width: 40px; height: 24px; padding: 0; border: none; background: none;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 2px; flex: 1; margin: 0;">
+                    <span style="font-size: 8px; opacity: 0.5;">TRAIL</span>
+                    <select ${disabled} onchange="window.updateSpawnerBall(${index}, 'trail', this.value)" style="${inputStyle}">
+                        <option value="fire" ${ball.trail === 'fire' ? 'selected' : ''}>Fire</option>
+                        <option value="line" ${ball.trail === 'line' ? 'selected' : ''}>Streak</option>
+                        <option value="none" ${ball.trail === 'none' ? 'selected' : ''}>None</option>
+                    </select>
+                </label>
+            </div>
         `;
         list.appendChild(item);
     });
@@ -1893,17 +2620,125 @@ window.syncTimingUI = function() {
 
 window.runSequence = function() {
     window.clearFocus();
+    ensureAudio();
+    restartRunRandom();
     
-    spawners.forEach((s, index) => {
-        const totalDelayMs = (s.delay || 0) * 1000;
-        
-        setTimeout(() => {
-            window.spawnBall(s.x, s.y, index);
-        }, totalDelayMs);
+    // Small lead so the first spawn and click are not already late
+    const start = physicsSteps + Math.round(SEQUENCE_LEAD * 1000 / PHYSICS_STEP_MS);
+    startHitLog(start);
+    sequence = { start, audioStart: audioCtx.currentTime + SEQUENCE_LEAD, queue: spawnSchedule(spawners, tempo), nextBeat: 0, tempo: { ...tempo } };
+};
+
+function stepsToSeconds(steps) {
+    return steps * PHYSICS_STEP_MS / 1000;
+}
+
+// Physics steps into the current run; null when nothing is running
+function runSteps() {
+    const start = sequence ? sequence.start : hitLogStart;
+    return start === null ? null : Math.max(0, physicsSteps - start);
+}
+
+// Seconds into the current run, which moving platforms follow; null when nothing is running
+function runTime() {
+    const steps = runSteps();
+    return steps === null ? null : stepsToSeconds(steps);
+}
+
+// Called every physics step: spawns balls whose time has come on the simulation clock
+function updateSequence() {
+    if (!sequence) return;
+    const now = stepsToSeconds(physicsSteps - sequence.start);
+    
+    while (sequence.queue.length > 0 && sequence.queue[0].time <= now) {
+        const { index } = sequence.queue.shift();
+        const s = spawners[index];
+        if (s) window.spawnBall(s.x, s.y, index);
+    }
+    
+    // Finished once every ball has been spawned and has left the course
+    if (sequence.queue.length === 0 && balls.length === 0) sequence = null;
+}
+
+// Called every frame: schedules metronome clicks slightly ahead on the audio clock so they never stutter
+function updateMetronome() {
+    if (!sequence || !tempo.metronome || noteCapture) return;
+    const now = audioCtx.currentTime - sequence.audioStart;
+    const { bpm, beatsPerBar } = sequence.tempo;
+    while (sequence.nextBeat * 60 / bpm < now + METRONOME_LOOKAHEAD) {
+        const t = sequence.audioStart + sequence.nextBeat * 60 / bpm;
+        if (t >= audioCtx.currentTime) masterBus.playClick(t, sequence.nextBeat % beatsPerBar === 0);
+        sequence.nextBeat++;
+    }
+}
+
+// A tempo sensor changes the tempo of the running sequence only; the project keeps its own
+function setRunTempo(bpm) {
+    if (!sequence) return;
+    const next = normalizeTempo({ ...sequence.tempo, bpm });
+    const now = stepsToSeconds(physicsSteps - sequence.start);
+    sequence.queue = retimeSchedule(sequence.queue, now, sequence.tempo, next);
+    // The next click stays where the old tempo put it, the ones after follow the new tempo
+    sequence.audioStart += sequence.nextBeat * 60 * (1 / sequence.tempo.bpm - 1 / next.bpm);
+    sequence.tempo = next;
+}
+
+// One fixed step of the live simulation; the offline render runs the same steps
+function physicsStep() {
+    updateSequence();
+    stepScene(Matter, engine, scene);
+    physicsSteps++;
+}
+
+window.updateTempo = function(field, value) {
+    const previousUnit = tempo.unit;
+    tempo = normalizeTempo({ ...tempo, [field]: value });
+    
+    // Switching units converts the delays so the groove stays where it was
+    if (tempo.unit === 'beats' && previousUnit !== 'beats') {
+        spawners.forEach(s => s.beat = quantizeBeat(secondsToBeats(s.delay || 0, tempo), tempo.grid));
+    }
+    // Seconds stay in sync with beats so files read the same in either unit
+    if (tempo.unit === 'beats') {
+        spawners.forEach(s => s.delay = spawnerDelay(s, tempo));
+    }
+    
+    window.syncTempoUI();
+    window.syncTimingUI();
+};
+
+window.updateSpawnerBeat = function(index, value) {
+    const s = spawners[index];
+    if (!s) return;
+    s.beat = quantizeBeat(parseFloat(value) || 0, tempo.grid);
+    s.delay = spawnerDelay(s, tempo);
+    window.syncTimingUI();
+};
+
+window.syncTempoUI = function() {
+    const fields = {
+        'tempo-bpm': tempo.bpm,
+        'tempo-beats-per-bar': tempo.beatsPerBar,
+        'tempo-beat-unit': tempo.beatUnit,
+        'tempo-swing': tempo.swing,
+        'tempo-unit': tempo.unit,
+        'tempo-grid': tempo.grid
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
     });
+    const metronome = document.getElementById('tempo-metronome');
+    if (metronome) metronome.checked = tempo.metronome;
 };
 
 window.keyPressed = function() {
+    // Let text fields (export name, MIDI note list...) receive their own keystrokes
+    const active = document.activeElement;
+    if (active && (active.tagName === 'TEXTAREA' || (active.tagName === 'INPUT' && (active.type === 'text' || active.type === 'number')))) {
+        return;
+    }
+
     // Undo (Ctrl + Z)
     if (keyIsDown(CONTROL) && (key === 'z' || key === 'Z')) {
         if (keyIsDown(SHIFT)) {
@@ -1935,27 +2770,21 @@ window.keyPressed = function() {
     if (keyIsDown(CONTROL) && (key === 'c' || key === 'C')) {
         const targets = selectedBars.length > 0 ? selectedBars : (focusedBar ? [focusedBar] : []);
         if (targets.length > 0) {
+            const records = targets.map(b => serializeBar(b, targets));
+
             // Find group center
             let avgX = 0, avgY = 0;
-            targets.forEach(b => {
-                avgX += b.body.position.x;
-                avgY += b.body.position.y;
+            records.forEach(r => {
+                avgX += r.x;
+                avgY += r.y;
             });
-            avgX /= targets.length;
-            avgY /= targets.length;
-
-            copiedBars = targets.map(b => ({
-                w: b.w,
-                h: b.h,
-                angle: b.body.angle,
-                note: b.note,
-                shape: b.shape,
-                instrument: b.instrument,
-                curvatureTop: b.curvatureTop,
-                curvatureBottom: b.curvatureBottom,
-                maxHits: b.maxHits || 0,
-                relX: b.body.position.x - avgX,
-                relY: b.body.position.y - avgY
+            avgX /= records.length;
+            avgY /= records.length;
+
+            copiedBars = records.map(r => ({
+                ...r,
+                relX: r.x - avgX,
+                relY: r.y - avgY
             }));
         }
         return false;
@@ -1972,12 +2801,12 @@ window.keyPressed = function() {
             selectedBars = [];
 
             copiedBars.forEach(cb => {
-                const bar = new Wall(world, Matter, worldMouseX + cb.relX, worldMouseY + cb.relY, cb.w, cb.h, cb.angle, cb.note, cb.shape, cb.instrument, cb.curvatureTop, cb.curvatureBottom);
-                bar.maxHits = cb.maxHits || 0;
+                const bar = createBar(cb, worldMouseX + cb.relX, worldMouseY + cb.relY);
                 bars.push(bar);
                 bar.isFocused = true;
                 selectedBars.push(bar);
             });
+            linkBars(selectedBars, copiedBars); // Copied portal pairs stay linked to each other
             
             focusedBar = selectedBars.length === 1 ? selectedBars[0] : null;
             window.syncControls();
@@ -2004,6 +2833,28 @@ window.closeExportModal = function() {
     if (modal) modal.classList.remove('active');
 };
 
+// Project JSON as saved to file or clipboard
+function buildProjectData(name, readonly) {
+    return {
+        name,
+        readonly,
+        gravity: engine.gravity.y,
+        bounce: parseFloat(document.getElementById('bounce-slider').value),
+        instrument: defaultBarInstrument,
+        tuning,
+        seed: projectSeed,
+        autoPitch: { ...autoPitch },
+        dynamics: { ...dynamics },
+        panMode,
+        instruments: customInstruments,
+        audio: { ...audioSettings },
+        tempo: { ...tempo },
+        spawners: spawners.map(s => ({ x: s.x, y: s.y, r: s.r, delay: s.delay, beat: s.beat ?? null, ball: { ...s.ball } })),
+        bars: bars.map(b => serializeBar(b, bars)),
+        zones: zones.map(z => z.serialize())
+    };
+}
+
 window.confirmExport = function() {
     const nameInput = document.getElementById('export-name');
     let rawName = nameInput ? nameInput.value : "my-composition";
@@ -2025,27 +2876,7 @@ window.confirmExport = function() {
         return;
     }
     
-    const data = {
-        name: compName,
-        readonly: isReadOnly,
-        gravity: engine.gravity.y,
-        bounce: parseFloat(document.getElementById('bounce-slider').value),
-        instrument: defaultBarInstrument,
-        spawners: spawners.map(s => ({ x: s.x, y: s.y, r: s.r, delay: s.delay })),
-        bars: bars.map(b => ({
-            x: b.body.position.x,
-            y: b.body.position.y,
-            w: b.w,
-            h: b.h,
-            angle: b.body.angle,
-            note: b.note,
-            shape: b.shape,
-            instrument: b.instrument,
-            curvatureTop: b.curvatureTop || 0,
-            curvatureBottom: b.curvatureBottom || 0,
-            maxHits: b.maxHits || 0
-        }))
-    };
+    const data = buildProjectData(compName, isReadOnly);
     
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -2059,27 +2890,7 @@ window.confirmExport = function() {
 };
 
 window.copyToClipboard = function() {
-    const data = {
-        name: "copied-composition",
-        readonly: false, // Copied compositions are always editable
-        gravity: engine.gravity.y,
-        bounce: parseFloat(document.getElementById('bounce-slider').value),
-        instrument: defaultBarInstrument,
-        spawners: spawners.map(s => ({ x: s.x, y: s.y, r: s.r, delay: s.delay })),
-        bars: bars.map(b => ({
-            x: b.body.position.x,
-            y: b.body.position.y,
-            w: b.w,
-            h: b.h,
-            angle: b.body.angle,
-            note: b.note,
-            shape: b.shape,
-            instrument: b.instrument,
-            curvatureTop: b.curvatureTop || 0,
-            curvatureBottom: b.curvatureBottom || 0,
-            maxHits: b.maxHits || 0
-        }))
-    };
+    const data = buildProjectData("copied-composition", false); // Copied compositions are always editable
     
     const json = JSON.stringify(data, null, 2);
     navigator.clipboard.writeText(json).then(() => {
@@ -2097,6 +2908,140 @@ window.copyToClipboard = function() {
     });
 };
 
+// Offline audio rendering
+const RENDER_SAMPLE_RATE = 44100;
+const RENDER_TAIL_SECONDS = 2;
+
+// Replay the spawn sequence without drawing and collect every note it plays.
+// The arrangement is restored afterwards, so the editor state is untouched.
+function captureSequenceNotes() {
+    const snapshot = captureState();
+    window.clearBalls();
+    
+    const start = physicsSteps;
+    sequence = { start, audioStart: 0, queue: spawnSchedule(spawners, tempo), nextBeat: 0, tempo: { ...tempo } };
+    noteCapture = { time: 0, notes: [] };
+    
+    try {
+        while (sequence && noteCapture.time < MAX_RUN_SECONDS) {
+            physicsStep();
+            noteCapture.time = stepsToSeconds(physicsSteps - start);
+        }
+        // Arpeggio notes are captured ahead of time, so put everything back in time order
+        return noteCapture.notes.sort((a, b) => a.time - b.time);
+    } finally {
+        noteCapture = null;
+        window.clearBalls();
+        applyHistoryState(snapshot);
+    }
+}
+
+window.exportAudio = async function(btn) {
+    if (typeof OfflineAudioContext === 'undefined') {
+        alert("Offline audio rendering is not supported in this browser.");
+        return;
+    }
+    
+    const originalText = btn ? btn.innerText : '';
+    if (btn) {
+        btn.innerText = "RENDERING...";
+        btn.disabled = true;
+    }
+    
+    try {
+        // Wait until the button has repainted: the capture holds the page for a while
+        await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+        const notes = captureSequenceNotes();
+        if (notes.length === 0) {
+            alert("Nothing to render: the sequence did not hit any bars.");
+            return;
+        }
+        
+        const duration = notes[notes.length - 1].time + RENDER_TAIL_SECONDS;
+        const offlineCtx = new OfflineAudioContext(2, Math.ceil(duration * RENDER_SAMPLE_RATE), RENDER_SAMPLE_RATE);
+        const bus = new MasterBus(offlineCtx, audioSettings);
+        notes.forEach(n => bus.playVoice(n.freq, voicePreset(n.instrument), n.time, n.velocity, n.pan));
+        
+        const rendered = await offlineCtx.startRendering();
+        const url = URL.createObjectURL(encodeWav(rendered));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'music-ball-render.wav';
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        console.error("Audio export failed:", err);
+        alert("Audio export failed: " + err.message);
+    } finally {
+        if (btn) {
+            btn.innerText = originalText;
+            btn.disabled = false;
+        }
+    }
+};
+
+// General MIDI program and note length for each built-in instrument
+const midiInstruments = {
+    sine: { program: 79, duration: 0.6 },      // Ocarina
+    square: { program: 80, duration: 0.6 },    // Lead 1 (square)
+    sawtooth: { program: 81, duration: 0.6 },  // Lead 2 (sawtooth)
+    triangle: { program: 73, duration: 0.6 },  // Flute
+    bell: { program: 14, duration: 1.8 },      // Tubular Bells
+    glass: { program: 9, duration: 1.8 },      // Glockenspiel
+    drum: { program: 47, duration: 0.4 }       // Timpani
+};
+
+const MAX_MIDI_TRACKS = 15; // MIDI channels left after skipping the GM drum channel
+
+window.exportMidi = function() {
+    if (hitLog.length === 0) {
+        alert("Nothing to export: run the sequence first so the hits can be recorded.");
+        return;
+    }
+    
+    // One track per instrument, in order of first appearance; instruments past
+    // MAX_MIDI_TRACKS share the last track
+    const tracks = [];
+    const merged = [];
+    hitLog.forEach(e => {
+        let track = tracks.find(t => t.instrument === e.instrument || t.merged.includes(e.instrument));
+        if (!track && tracks.length === MAX_MIDI_TRACKS) {
+            track = tracks[tracks.length - 1];
+            track.merged.push(e.instrument);
+            merged.push(e.instrument);
+        }
+        if (!track) {
+            // Custom presets use the General MIDI sound of their waveform
+            const info = midiInstruments[e.instrument] || midiInstruments[getInstrument(e.instrument).wave] || midiInstruments.sine;
+            track = {
+                instrument: e.instrument,
+                name: e.instrument,
+                program: info.program,
+                channel: tracks.length >= 9 ? tracks.length + 1 : tracks.length, // Skip the GM drum channel
+                duration: info.duration,
+                merged: [], // Instruments that ran out of channels and play on this track
+                notes: []
+            };
+            tracks.push(track);
+        }
+        track.notes.push({ time: e.time, duration: track.duration, midi: e.midi, velocity: Math.round(1 + e.velocity * 126) });
+    });
+    
+    if (merged.length > 0) {
+        const last = tracks[tracks.length - 1];
+        last.name = `${last.instrument} + ${merged.join(', ')}`;
+        alert(`MIDI has only ${MAX_MIDI_TRACKS} melodic channels: ${merged.join(', ')} will play on the '${last.instrument}' track.`);
+    }
+    
+    const blob = new Blob([writeMidiFile({ bpm: tempo.bpm * 4 / tempo.beatUnit, timeSignature: [tempo.beatsPerBar, tempo.beatUnit], tracks })], { type: 'audio/midi' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'music-ball-hits.mid';
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
 window.copyShape = function() {
     if (!focusedBar) return;
     const shapeData = {
@@ -2115,6 +3060,443 @@ window.copyShape = function() {
     });
 };
 
+// Instrument Editor - synth presets saved with the project
+const PRESET_FIELDS = {
+    'inst-pitch': ['pitch'],
+    'inst-glide-to': ['glide', 'to'],
+    'inst-attack': ['envelope', 'attack'],
+    'inst-decay': ['envelope', 'decay'],
+    'inst-sustain': ['envelope', 'sustain'],
+    'inst-hold': ['envelope', 'hold'],
+    'inst-release': ['envelope', 'release'],
+    'inst-level': ['envelope', 'level'],
+    'inst-length': ['envelope', 'length'],
+    'inst-cutoff': ['filter', 'cutoff'],
+    'inst-cutoff-hz': ['filter', 'hz'],
+    'inst-q': ['filter', 'q'],
+    'inst-sweep-to': ['filter', 'sweep', 'to'],
+    'inst-sweep-time': ['filter', 'sweep', 'time'],
+    'inst-fm-ratio': ['fm', 'ratio'],
+    'inst-fm-depth': ['fm', 'depth'],
+    'inst-fm-decay': ['fm', 'decay']
+};
+
+// Custom presets appear under their own group in every instrument menu
+window.syncInstrumentOptions = function() {
+    const names = Object.keys(customInstruments).filter(name => !BUILTIN_PRESETS[name]);
+    ['instrument-select', 'bar-instrument', 'bulk-instrument-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const value = select.value;
+        select.querySelectorAll('optgroup[data-custom]').forEach(g => g.remove());
+        if (names.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Custom';
+            group.dataset.custom = 'true';
+            names.forEach(name => group.appendChild(new Option(name, name)));
+            select.appendChild(group);
+        }
+        select.value = value;
+    });
+};
+
+function fillPresetSelect(selected) {
+    const presetSelect = document.getElementById('inst-preset');
+    const names = [...new Set([...Object.keys(BUILTIN_PRESETS), ...Object.keys(customInstruments)])];
+    presetSelect.innerHTML = '';
+    names.forEach(name => presetSelect.appendChild(new Option(getInstrument(name).label || name, name)));
+    presetSelect.value = names.includes(selected) ? selected : names[0];
+    window.loadInstrumentIntoEditor(presetSelect.value);
+}
+
+window.openInstrumentModal = function() {
+    const modal = document.getElementById('instrument-modal');
+    if (!modal) return;
+    fillPresetSelect(focusedBar ? focusedBar.instrument : defaultBarInstrument);
+    modal.classList.add('active');
+};
+
+window.closeInstrumentModal = function() {
+    const modal = document.getElementById('instrument-modal');
+    if (modal) modal.classList.remove('active');
+};
+
+let editorSample = null; // Sample of the preset being edited: { data, mime, fileName }
+const MAX_SAMPLE_BYTES = 2 * 1024 * 1024; // Samples are embedded in the project JSON
+
+function syncSampleLabel() {
+    const label = document.getElementById('inst-sample-name');
+    if (label) label.innerText = editorSample ? `SAMPLE: ${editorSample.fileName || 'embedded'}` : 'NO SAMPLE - SYNTH VOICE';
+}
+
+window.loadInstrumentSample = function() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.wav,.ogg,.mp3,audio/wav,audio/ogg,audio/mpeg';
+    
+    input.onchange = e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (file.size > MAX_SAMPLE_BYTES) {
+            alert("This sample is too large. Please use a short sample under 2 MB.");
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = event => {
+            const bytes = new Uint8Array(event.target.result);
+            const sample = { data: bytesToBase64(bytes), mime: file.type || 'audio/wav', fileName: file.name };
+            decodeSample(sample)
+                .then(() => {
+                    editorSample = sample;
+                    syncSampleLabel();
+                    // Samples are usually normalized already, so start near full level
+                    document.getElementById('inst-level').value = 0.8;
+                    const nameInput = document.getElementById('inst-name');
+                    if (!nameInput.value || BUILTIN_PRESETS[nameInput.value]) {
+                        nameInput.value = file.name.replace(/\.[^.]+$/, '');
+                    }
+                })
+                .catch(err => {
+                    console.error("Sample decode failed:", err);
+                    alert("Could not decode this audio file: " + err.message);
+                });
+        };
+        reader.readAsArrayBuffer(file);
+    };
+    
+    input.click();
+};
+
+window.clearInstrumentSample = function() {
+    editorSample = null;
+    syncSampleLabel();
+};
+
+window.loadInstrumentIntoEditor = function(name) {
+    const preset = getInstrument(name);
+    editorSample = preset.sample ? { data: preset.sample.data, mime: preset.sample.mime, fileName: preset.sample.fileName } : null;
+    document.getElementById('inst-sample-root').value = preset.sample ? preset.sample.root : 'C4';
+    document.getElementById('inst-sample-fixed').checked = preset.sample ? preset.sample.fixedPitch : false;
+    syncSampleLabel();
+    document.getElementById('inst-name').value = name;
+    document.getElementById('inst-wave').value = preset.wave;
+    document.getElementById('inst-filter-type').value = preset.filter.type;
+    Object.entries(PRESET_FIELDS).forEach(([id, path]) => {
+        document.getElementById(id).value = path.reduce((obj, key) => obj[key], preset);
+    });
+    document.getElementById('inst-partials').value = preset.partials
+        .map(p => `${p.ratio} ${p.gain} ${p.decay}${p.wave !== 'sine' || p.hz ? ' ' + p.wave : ''}${p.hz ? ' ' + p.hz : ''}`).join('\n');
+    document.getElementById('inst-echoes').value = preset.echoes
+        .map(e => `${e.time} ${e.gain}${e.cutoff !== 4 || e.tap === 'pre' ? ' ' + e.cutoff : ''}${e.tap === 'pre' ? ' pre' : ''}`).join('\n');
+};
+
+// Lines of whitespace-separated values, e.g. "2.4 0.25 1.0 square"
+function parsePresetLines(text, fields) {
+    return text.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(parts => parts[0] !== '')
+        .map(parts => Object.fromEntries(fields.map((field, i) => [field, parts[i]])));
+}
+
+function readInstrumentEditor() {
+    const preset = {
+        type: editorSample ? 'sample' : 'synth',
+        sample: editorSample && {
+            ...editorSample,
+            root: document.getElementById('inst-sample-root').value.trim(),
+            fixedPitch: document.getElementById('inst-sample-fixed').checked
+        },
+        wave: document.getElementById('inst-wave').value,
+        glide: {},
+        envelope: {},
+        filter: { type: document.getElementById('inst-filter-type').value, sweep: {} },
+        fm: {},
+        partials: parsePresetLines(document.getElementById('inst-partials').value, ['ratio', 'gain', 'decay', 'wave', 'hz']),
+        echoes: parsePresetLines(document.getElementById('inst-echoes').value, ['time', 'gain', 'cutoff', 'tap'])
+    };
+    Object.entries(PRESET_FIELDS).forEach(([id, path]) => {
+        const value = document.getElementById(id).value;
+        const parent = path.slice(0, -1).reduce((obj, key) => obj[key], preset);
+        parent[path[path.length - 1]] = value;
+    });
+    return normalizePreset(preset);
+}
+
+window.previewInstrument = async function() {
+    ensureAudio();
+    const preset = readInstrumentEditor();
+    if (preset.type === 'sample') {
+        try {
+            preset.buffer = await decodeSample(preset.sample);
+        } catch (err) {
+            console.error("Sample decode failed:", err);
+            return;
+        }
+        preset.rootFrequency = noteFrequency(preset.sample.root, tuning) || noteFrequency('C4', tuning);
+    }
+    masterBus.playVoice(noteFrequency('C4', tuning), preset, audioCtx.currentTime, 0.8);
+};
+
+window.saveInstrumentPreset = function() {
+    const name = document.getElementById('inst-name').value.trim();
+    if (!name) {
+        alert("Please enter a name for the preset.");
+        return;
+    }
+    
+    if (editorSample && noteNameToMidi(document.getElementById('inst-sample-root').value) === null) {
+        alert("Please enter a valid root note for the sample (e.g. C4).");
+        return;
+    }
+    
+    customInstruments[name] = { ...readInstrumentEditor(), label: name };
+    sampleBuffers.delete(name);
+    loadSampleBuffer(name);
+    window.syncInstrumentOptions();
+    fillPresetSelect(name);
+};
+
+window.deleteInstrumentPreset = function() {
+    const name = document.getElementById('inst-preset').value;
+    if (!customInstruments[name]) {
+        alert("Built-in instruments cannot be deleted.");
+        return;
+    }
+    
+    delete customInstruments[name];
+    sampleBuffers.delete(name);
+    window.syncInstrumentOptions();
+    fillPresetSelect(name); // Falls back to the built-in of the same name, if any
+};
+
+// MIDI Import - build a bar course from a melody
+let importedMidi = null; // Parsed tracks of the last loaded .mid file
+let solverWorker = null; // Melody solver running in the background
+let solverResult = null; // Last solution waiting to be accepted: { result, spawnerIndex, keep }
+
+window.openMidiModal = function() {
+    const modal = document.getElementById('midi-modal');
+    if (!modal) return;
+    
+    const spawnerSelect = document.getElementById('midi-spawner');
+    if (spawnerSelect) {
+        spawnerSelect.innerHTML = spawners.map((s, i) => `<option value="${i}">BALL ${i + 1}</option>`).join('');
+    }
+    solverResult = null;
+    renderSolverReport('');
+    modal.classList.add('active');
+};
+
+window.closeMidiModal = function() {
+    const modal = document.getElementById('midi-modal');
+    if (modal) modal.classList.remove('active');
+    stopSolver();
+};
+
+function stopSolver() {
+    if (solverWorker) solverWorker.terminate();
+    solverWorker = null;
+    const runBtn = document.getElementById('solver-run-btn');
+    if (runBtn) runBtn.disabled = false;
+}
+
+window.loadMidiFile = function() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.mid,.midi,audio/midi';
+    
+    input.onchange = e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = event => {
+            try {
+                const midi = readMidiFile(event.target.result);
+                importedMidi = midi.tracks.filter(t => t.notes.length > 0);
+                if (importedMidi.length === 0) {
+                    throw new Error("The file contains no notes.");
+                }
+                
+                const trackSelect = document.getElementById('midi-track');
+                if (trackSelect) {
+                    // Track names come from the file: add them as text, never as markup
+                    trackSelect.replaceChildren(...importedMidi.map((t, i) =>
+                        new Option(`${t.name || 'Track ' + (i + 1)} (${t.notes.length} notes)`, i)));
+                }
+                window.selectMidiTrack(0);
+            } catch (err) {
+                console.error("MIDI import error:", err);
+                alert("MIDI import failed: " + err.message);
+            }
+        };
+        reader.onerror = () => alert("Error reading file");
+        reader.readAsArrayBuffer(file);
+    };
+    
+    input.click();
+};
+
+// Fill the note list with the chosen track so it can be edited before building
+window.selectMidiTrack = function(index) {
+    const track = importedMidi && importedMidi[parseInt(index)];
+    const textarea = document.getElementById('midi-notes');
+    if (!track || !textarea) return;
+    textarea.value = track.notes.map(n => `${midiToNoteName(n.midi)} ${n.time.toFixed(3)}`).join('\n');
+};
+
+// Search bar placements for the note list in a worker; the result waits in the report for acceptance
+window.solveMelody = function() {
+    const textarea = document.getElementById('midi-notes');
+    const spawnerSelect = document.getElementById('midi-spawner');
+    const spawnerIndex = Math.max(0, parseInt(spawnerSelect ? spawnerSelect.value : 0) || 0);
+    const spawner = spawners[spawnerIndex];
+    if (!spawner) {
+        alert("Add a spawner first.");
+        return;
+    }
+    
+    // One "NOTE TIME" pair per line, e.g. "C#4 1.25"
+    const notes = [];
+    const lines = (textarea ? textarea.value : '').split('\n');
+    for (const line of lines) {
+        const parts = line.trim().split(/[\s,;]+/);
+        if (parts.length < 2 || !parts[0]) continue;
+        const midi = noteNameToMidi(parts[0]);
+        const time = parseFloat(parts[1]);
+        if (midi === null || !isFinite(time)) {
+            alert(`Invalid note line: "${line.trim()}"`);
+            return;
+        }
+        notes.push({ time, note: midiToNoteName(foldIntoRange(midi)) });
+    }
+    if (notes.length === 0) {
+        alert("No notes to solve: load a .mid file or enter one NOTE TIME pair per line.");
+        return;
+    }
+    notes.sort((a, b) => a.time - b.time);
+    
+    stopSolver();
+    solverResult = null;
+    renderSolverReport('Solving...');
+    const runBtn = document.getElementById('solver-run-btn');
+    if (runBtn) runBtn.disabled = true;
+    
+    solverWorker = new Worker(new URL('./solver.worker.js', import.meta.url), { type: 'module' });
+    solverWorker.onmessage = e => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            renderSolverReport(`Solving... candidate ${msg.attempt} of ${msg.attempts}`);
+            return;
+        }
+        stopSolver();
+        if (msg.type === 'error') {
+            console.error("Melody solver error:", msg.message);
+            renderSolverReport('');
+            alert("Solving failed: " + msg.message);
+            return;
+        }
+        // Keep every bar up to the first one that misses or is off time
+        const report = msg.result.report;
+        const firstBad = report.findIndex(r => r.error === null || Math.abs(r.error) > SOLVE_TOLERANCE);
+        solverResult = { result: msg.result, spawnerIndex, keep: firstBad === -1 ? report.length : firstBad };
+        renderSolverReport();
+    };
+    solverWorker.onerror = err => {
+        stopSolver();
+        console.error("Melody solver error:", err);
+        renderSolverReport('');
+        alert("Solving failed: " + (err.message || 'worker error'));
+    };
+    solverWorker.postMessage({
+        spawner: { x: spawner.x, y: spawner.y, ball: { ...spawner.ball } },
+        notes,
+        gravity: engine.gravity.y,
+        bounce: parseFloat(document.getElementById('bounce-slider').value),
+        dynamics: { ...dynamics },
+        seed: projectSeed,
+        instrument: defaultBarInstrument,
+        obstacles: bars.map(b => serializeBar(b, bars)),
+        zones: zones.map(z => z.serialize())
+    });
+};
+
+// Status line, and the per-hit table once a solution is in
+function renderSolverReport(status) {
+    const statusEl = document.getElementById('solver-status');
+    const reportEl = document.getElementById('solver-report');
+    const acceptControl = document.getElementById('solver-accept-control');
+    const acceptBtn = document.getElementById('solver-accept-btn');
+    
+    if (!solverResult) {
+        if (statusEl) statusEl.innerText = status || '';
+        if (reportEl) reportEl.style.display = 'none';
+        if (acceptControl) acceptControl.style.display = 'none';
+        if (acceptBtn) acceptBtn.disabled = true;
+        return;
+    }
+    
+    const { result, keep } = solverResult;
+    const onTime = result.report.filter(r => r.error !== null && Math.abs(r.error) <= SOLVE_TOLERANCE).length;
+    if (statusEl) {
+        statusEl.innerText = `${onTime}/${result.report.length} notes within ${SOLVE_TOLERANCE * 1000} ms, ` +
+            `${result.strayHits} extra hits, ${result.skipped} notes merged` +
+            (result.offset > 0 ? `. Times shifted by ${result.offset.toFixed(2)} s so the ball can fall.` : '.');
+    }
+    if (reportEl) {
+        const rows = result.report.map((r, i) => {
+            let errorText = 'MISS';
+            let errorColor = '#ef4444';
+            if (r.error !== null) {
+                errorText = `${r.error >= 0 ? '+' : ''}${Math.round(r.error * 1000)} ms`;
+                errorColor = Math.abs(r.error) <= SOLVE_TOLERANCE ? '#4ade80' : '#fbbf24';
+            }
+            return `<tr style="opacity: ${i < keep ? 1 : 0.35};">
+                <td>${i + 1}</td><td>${r.note}</td><td>${r.target.toFixed(3)}</td>
+                <td>${r.actual === null ? '-' : r.actual.toFixed(3)}</td>
+                <td style="color: ${errorColor};">${errorText}</td></tr>`;
+        }).join('');
+        reportEl.innerHTML = `<table style="width: 100%; text-align: left; border-collapse: collapse;">
+            <tr style="color: rgba(255,255,255,0.5);"><th>#</th><th>NOTE</th><th>TARGET</th><th>ACTUAL</th><th>ERROR</th></tr>
+            ${rows}</table>`;
+        reportEl.style.display = 'block';
+    }
+    if (acceptControl) {
+        acceptControl.style.display = 'block';
+        const slider = document.getElementById('solver-accept');
+        if (slider) {
+            slider.max = result.report.length;
+            slider.value = keep;
+        }
+        const label = document.getElementById('solver-accept-label');
+        if (label) label.innerText = keep > 0 ? `Keep Bars 1-${keep} of ${result.report.length}` : 'Keep No Bars';
+    }
+    if (acceptBtn) acceptBtn.disabled = keep === 0;
+}
+
+window.updateSolverAccept = function(v) {
+    if (!solverResult) return;
+    solverResult.keep = Math.max(0, Math.min(solverResult.result.report.length, parseInt(v) || 0));
+    renderSolverReport();
+};
+
+// Add the kept bars; later bars depend on earlier ones, so a partial solution is always a prefix
+window.acceptSolution = function() {
+    if (!solverResult || solverResult.keep === 0) return;
+    const { result, spawnerIndex, keep } = solverResult;
+    result.bars.slice(0, keep).forEach(b => bars.push(createBar({ ...b, instrument: defaultBarInstrument })));
+    window.saveHistory();
+    window.closeMidiModal();
+    
+    const spawner = spawners[spawnerIndex];
+    if (spawner) {
+        targetCamX = spawner.x;
+        targetCamY = spawner.y + 300;
+    }
+    solverResult = null;
+};
+
 window.loadProjectData = function(data) {
     if (!data) return;
     
@@ -2130,38 +3512,23 @@ window.loadProjectData = function(data) {
         balls.forEach(b => b.destroy());
         balls = [];
         
+        // Tempo first: spawner delays may be in beats
+        tempo = normalizeTempo(data.tempo);
+        window.syncTempoUI();
+        
         // Load spawners
-        if (data.spawners && Array.isArray(data.spawners)) {
-            spawners = data.spawners.map(s => ({ 
-                x: Number(s.x), 
-                y: Number(s.y), 
-                r: Number(s.r || 18), 
-                delay: Number(s.delay || 0), 
-                dragging: false 
-            }));
-        } else if (data.spawner) {
-            spawners = [{ ...data.spawner, r: 18, dragging: false, delay: 0 }];
+        if (data.spawners || data.spawner) {
+            spawners = readSpawners(data).map(s => ({ ...s, dragging: false }));
         }
         window.syncTimingUI();
         
         // Load bars
         if (data.bars) {
-            data.bars.forEach(b => {
-                const bar = new Wall(
-                    world, Matter, 
-                    Number(b.x), Number(b.y), 
-                    Number(b.w), Number(b.h), 
-                    Number(b.angle || 0), 
-                    b.note || 'Auto', 
-                    b.shape || 'rect', 
-                    b.instrument || 'sine', 
-                    Number(b.curvatureTop || 0), 
-                    Number(b.curvatureBottom || 0)
-                );
-                bar.maxHits = b.maxHits || 0;
-                bars.push(bar);
-            });
+            data.bars.forEach(b => bars.push(createBar(b)));
+            linkBars(bars, data.bars);
         }
+        zones = readZones(data);
+        focusedZone = null;
         
         // Center camera on first spawner
         if (spawners.length > 0) {
@@ -2180,6 +3547,16 @@ window.loadProjectData = function(data) {
             const bounceInput = document.getElementById('bounce-slider');
             if (bounceInput) bounceInput.value = data.bounce;
         }
+        // Custom presets first so the instrument menus can show them
+        customInstruments = {};
+        if (data.instruments && typeof data.instruments === 'object') {
+            Object.entries(data.instruments).forEach(([name, preset]) => {
+                customInstruments[name] = normalizePreset({ ...preset, label: name });
+            });
+        }
+        sampleBuffers.clear();
+        Object.keys(customInstruments).forEach(loadSampleBuffer);
+        window.syncInstrumentOptions();
         if (data.instrument) {
             window.updateInstrument(data.instrument);
             const instSelect = document.getElementById('instrument-select');
@@ -2187,6 +3564,20 @@ window.loadProjectData = function(data) {
             const bulkSelect = document.getElementById('bulk-instrument-select');
             if (bulkSelect) bulkSelect.value = data.instrument;
         }
+        // Projects without a tuning predate it and play at A4 = 440 Hz
+        window.updateTuning(data.tuning !== undefined ? Number(data.tuning) : DEFAULT_TUNING);
+        window.updateSeed(data.seed !== undefined ? data.seed : DEFAULT_SEED);
+        autoPitch = { ...DEFAULT_AUTO_PITCH, ...(data.autoPitch || {}) };
+        window.syncAutoPitchUI();
+        dynamics = { ...DEFAULT_DYNAMICS, ...(data.dynamics || {}) };
+        window.syncDynamicsUI();
+        window.updatePanMode(data.panMode);
+        // Older projects have no audio settings: back to the defaults, not the last project's
+        const audio = { ...DEFAULT_AUDIO_SETTINGS, ...(data.audio || {}) };
+        window.updateMasterVolume(audio.volume);
+        window.updateReverb(audio.reverb);
+        window.updateMaxVoices(audio.maxVoices);
+        window.syncAudioUI();
 
         window.saveHistory(); 
         window.clearFocus();
@@ -2195,6 +3586,7 @@ window.loadProjectData = function(data) {
         // Handle readonly mode
         isTemplateReadOnly = data.readonly === true;
         window.applyReadOnlyMode();
+        window.syncTimingUI(); // Spawner ball fields lock with the template
     } catch (err) {
         throw new Error("Failed to parse project content: " + err.message);
     }
@@ -2264,7 +3656,20 @@ window.applyReadOnlyMode = function() {
         // Disable editing controls (but keep them for when UI is shown)
         const disableIds = [
             'curvature-top', 'curvature-bottom', 'bar-shape', 'bar-note', 
-            'bar-instrument', 'bar-max-hits', 'gravity-slider', 'bounce-slider',
+            'bar-note-accidental', 'bar-note-octave', 'tuning-input', 'seed-input', 'reroll-seed-btn',
+            'scale-key', 'scale-type', 'pitch-low', 'pitch-high', 'pitch-top', 'pitch-bottom', 'pitch-fit-btn',
+            'velocity-curve-slider', 'velocity-threshold-slider',
+            'pan-mode-select', 'bar-pan', 'bar-pan-auto',
+            'bar-notes', 'bar-note-mode', 'bar-arp-rate',
+            'bar-instrument', 'bar-max-hits', 'bar-material', 'bar-restitution', 'bar-friction', 'bar-boost',
+            'bar-motion-type', 'bar-motion-period', 'bar-motion-direction', 'bar-motion-loop',
+            'bar-key-time', 'bar-key-angle', 'bar-key-ease', 'bar-key-add', 'bar-key-remove',
+            'bar-spin', 'bar-spin-speed', 'bar-spin-on-hit',
+            'bar-portal-cooldown', 'bar-portal-note', 'bar-portal-link',
+            'sensor-action', 'sensor-spawner', 'sensor-target', 'sensor-bpm', 'sensor-hidden',
+            'gate-mode', 'gate-source', 'gate-count', 'gate-once', 'gate-start-open',
+            'zone-type', 'zone-shape', 'zone-strength', 'zone-falloff', 'zone-direction',
+            'gravity-slider', 'bounce-slider',
             'instrument-select', 'bulk-instrument-select', 'add-spawner-btn'
         ];
         
@@ -2294,7 +3699,20 @@ window.applyReadOnlyMode = function() {
         // Enable all controls
         const enableIds = [
             'curvature-top', 'curvature-bottom', 'bar-shape', 'bar-note', 
-            'bar-instrument', 'bar-max-hits', 'gravity-slider', 'bounce-slider',
+            'bar-note-accidental', 'bar-note-octave', 'tuning-input', 'seed-input', 'reroll-seed-btn',
+            'scale-key', 'scale-type', 'pitch-low', 'pitch-high', 'pitch-top', 'pitch-bottom', 'pitch-fit-btn',
+            'velocity-curve-slider', 'velocity-threshold-slider',
+            'pan-mode-select', 'bar-pan', 'bar-pan-auto',
+            'bar-notes', 'bar-note-mode', 'bar-arp-rate',
+            'bar-instrument', 'bar-max-hits', 'bar-material', 'bar-restitution', 'bar-friction', 'bar-boost',
+            'bar-motion-type', 'bar-motion-period', 'bar-motion-direction', 'bar-motion-loop',
+            'bar-key-time', 'bar-key-angle', 'bar-key-ease', 'bar-key-add', 'bar-key-remove',
+            'bar-spin', 'bar-spin-speed', 'bar-spin-on-hit',
+            'bar-portal-cooldown', 'bar-portal-note', 'bar-portal-link',
+            'sensor-action', 'sensor-spawner', 'sensor-target', 'sensor-bpm', 'sensor-hidden',
+            'gate-mode', 'gate-source', 'gate-count', 'gate-once', 'gate-start-open',
+            'zone-type', 'zone-shape', 'zone-strength', 'zone-falloff', 'zone-direction',
+            'gravity-slider', 'bounce-slider',
             'instrument-select', 'bulk-instrument-select', 'add-spawner-btn'
         ];
         
@@ -0,0 +1,50 @@
+// Engine settings shared by the editor and background simulations
+export function configureEngine(engine, gravity = 1) {
+    engine.gravity.y = gravity;
+    
+    // Balanced iterations for performance and stability
+    engine.positionIterations = 10; 
+    engine.velocityIterations = 8; 
+    engine.constraintIterations = 2; 
+    
+    // Collision detection settings
+    engine.enableSleeping = true; // Enable sleeping to save CPU on idle objects
+    engine.world.bounds = { min: { x: -5000, y: -5000 }, max: { x: 5000, y: 5000 } };
+}
+
+// Physics always advances in steps of this size, whatever the display refresh
+// rate, so a composition produces the same hits on every machine
+export const PHYSICS_STEP_MS = 1000 / 60;
+
+// One physics step, including the rules that depend on it (moving platforms,
+// force fields, speed limit, seesaw balance). Nothing here may depend on rendering or wall-clock time.
+// `time` is how many seconds into the run the step starts (null when no run is going).
+export function stepPhysics(Matter, engine, balls, bars, zones = [], time = null) {
+    // Platforms follow the run clock, so their phase never depends on when balls are around;
+    // clearing the run puts them back
+    if (time !== null) {
+        const moved = bars.filter(b => b.poseAt(time));
+        // Static bodies never wake what rests on them
+        if (moved.length > 0) balls.forEach(b => Matter.Sleeping.set(b.body, false));
+    }
+    // Force fields push on the balls inside them; a ball asleep in one wakes up
+    balls.forEach(b => {
+        if (b.isStatic) return;
+        const inside = zones.filter(z => z.applyTo(Matter, b.body, engine.gravity));
+        if (inside.length > 0 && b.body.isSleeping) Matter.Sleeping.set(b.body, false);
+    });
+    Matter.Engine.update(engine, PHYSICS_STEP_MS);
+    balls.forEach(b => b.limitSpeed());
+    bars.forEach(b => b.applyBalance());
+}
+
+// Balls falling this far below everything in the arrangement can no longer hit anything
+export function killLine(spawners, bars, placeholders) {
+    const lowestY = Math.max(
+        0,
+        ...spawners.map(s => s.y),
+        ...bars.map(b => b.body.position.y + Math.max(b.w, b.h)),
+        ...placeholders.map(s => s.y)
+    );
+    return lowestY + 1000;
+}
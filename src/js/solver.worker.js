@@ -0,0 +1,12 @@
+// Runs the melody solver off the main thread so the editor keeps drawing
+import Matter from 'matter-js';
+import { solveMelody } from './Solver.js';
+
+self.onmessage = event => {
+    try {
+        const result = solveMelody(Matter, event.data, progress => self.postMessage({ type: 'progress', ...progress }));
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};